@@ -3,11 +3,16 @@ const traktService = require('./services/traktService');
 const tmdbService = require('./services/tmdbService');
 const netflixService = require('./services/netflixService');
 const scrobbleService = require('./services/scrobbleService');
+const metaService = require('./services/metaService');
+const recommendationService = require('./services/recommendationService');
+const tasteProfileService = require('./services/tasteProfileService');
 const sessionManager = require('./utils/sessionManager');
+const catalogManager = require('./utils/catalogManager');
+const { fillPage } = require('./utils/pagination');
 
 /**
  * Stremio Add-on Definition (Multi-User)
- * Provides newly released movies (TMDB), Netflix Sweden Top 10, and personalized Trakt recommendations
+ * Provides newly released movies (TMDB), Netflix Top 10 per country, and personalized Trakt recommendations
  */
 
 // Define the add-on manifest
@@ -15,122 +20,274 @@ const manifest = {
   id: 'com.stremio.catalog.trakt.netflix.tmdb',
   version: '2.0.0',
   name: 'Personalized Catalog',
-  description: 'Trakt trending movies & series, Netflix Sweden Top 10, personal recommendations, and highly rated documentaries.',
+  description: 'Trakt trending movies & series, Netflix Top 10 (Sweden, global and more countries), personal recommendations, and highly rated documentaries.',
   logo: 'https://stremiocatalogues.vercel.app/icon.png',
   
-  resources: ['catalog', 'stream'],
+  resources: [
+    'catalog',
+    'stream',
+    // Detail pages for items without an IMDB ID (prefixes scoped to meta so streams still get every ID)
+    { name: 'meta', types: ['movie', 'series'], idPrefixes: metaService.ID_PREFIXES }
+  ],
   types: ['movie', 'series'],
-  catalogs: [
-    // 1. Trending (movies) – Trakt
-    {
-      type: 'movie',
-      id: 'trakt-trending',
-      name: 'Trending',
-      extra: [{ name: 'skip', isRequired: false }]
-    },
-    // 2. Trending (series) – Trakt
-    {
-      type: 'series',
-      id: 'trakt-trending',
-      name: 'Trending',
-      extra: [{ name: 'skip', isRequired: false }]
-    },
-    // 3. Netflix Top 10 Sweden (movies)
-    {
-      type: 'movie',
-      id: 'netflix-sweden-top10',
-      name: 'Netflix Top 10 Sweden',
-      extra: [{ name: 'skip', isRequired: false }]
-    },
-    // 4. Your personal recommendations (movies only)
-    {
-      type: 'movie',
-      id: 'trakt-recommendations',
-      name: 'Your Personal Recommendations',
-      extra: [{ name: 'skip', isRequired: false }]
-    },
-    // 5. Highly rated documentaries (movies)
-    {
-      type: 'movie',
-      id: 'tmdb-documentaries',
-      name: 'Highly Rated Documentaries',
-      extra: [{ name: 'skip', isRequired: false }]
-    }
-  ]
+  behaviorHints: {
+    configurable: true
+  },
+  // Personalized installs carry the user's session in the URL: /<session>/manifest.json
+  config: [
+    { key: 'session', type: 'text', title: 'Session ID' }
+  ],
+  // Default catalogs; per-user selection and order are served by the configure routes
+  // "Because you watched" rows and catalogs built from the user's Trakt data (watchlist, Up Next...)
+  // need a session, so they only appear in personalized manifests
+  catalogs: catalogManager.expandBecauseWatched(catalogManager.getDefaultCatalogs())
 };
 
+// Catalogs that never hide watched titles: search results are flagged instead,
+// and in-progress shows are the point of Up Next and the calendar
+const HIDE_WATCHED_EXEMPT = new Set(['trakt-search', 'trakt-upnext', 'trakt-calendar']);
+
 // Create the add-on builder
 const builder = new addonBuilder(manifest);
 
 /**
- * Extract session ID – hardcoded for now
+ * Extract session ID from the per-user addon URL (/<session>/manifest.json)
+ * Returns null when no session was provided or it no longer exists (e.g. logged out),
+ * so handlers fall back to anonymous catalogs
  * @param {object} args - Request args from Stremio SDK
- * @returns {string|null} Session ID
+ * @returns {Promise<string|null>} Valid session ID or null
  */
-function extractSession(args) {
-  const HARDCODED_SESSION_ID = '1ad4cb50-642d-47e8-912d-c9a3d15e4d43';
-  console.log(`✅ Using hardcoded session: ${HARDCODED_SESSION_ID.substring(0, 8)}...`);
-  return HARDCODED_SESSION_ID;
+async function extractSession(args) {
+  const sessionId = args.config && typeof args.config.session === 'string'
+    ? args.config.session.trim()
+    : null;
+  
+  if (!sessionId) {
+    return null;
+  }
+  
+  const isValid = await sessionManager.isValidSession(sessionId);
+  if (!isValid) {
+    console.warn(`⚠️  Unknown or revoked session: ${sessionId.substring(0, 8)}..., serving anonymous catalogs`);
+    return null;
+  }
+  
+  return sessionId;
 }
 
 /**
- * Catalog Handler
- * Routes catalog requests to appropriate service (session-aware)
+ * Fetch one page of a catalog from the appropriate service
+ * @param {string} type - Content type (movie/series)
+ * @param {string} id - Catalog ID
+ * @param {object} extra - Catalog extras (search, genre)
+ * @param {string|null} sessionId - Valid session ID or null
+ * @param {number} skip - Number of items to skip
+ * @param {object} [preferences] - Session preferences (discover filters, Trakt lists)
+ * @returns {Promise<Array>} Array of metadata
  */
-builder.defineCatalogHandler(async (args) => {
-  const { type, id, extra = {} } = args;
-  const sessionId = extractSession(args);
-  const skip = parseInt(extra.skip || 0);
-  
-  console.log(`📺 Catalog request: type=${type}, id=${id}, skip=${skip}, session=${sessionId ? sessionId.substring(0, 8) + '...' : 'none'}`);
+async function getCatalogPage(type, id, extra, sessionId, skip, preferences = {}) {
+  const genre = extra.genre || null;
+  let metas = [];
   
-  try {
-    let metas = [];
-    
-    // Route to appropriate service based on catalog ID
-    switch (id) {
-      case 'trakt-trending':
-        // Trakt trending (movies and series), no auth
+  // Route to appropriate service based on catalog ID
+  switch (id) {
+    case 'trakt-trending':
+      // Trakt trending (movies and series), no auth
+      if (type === 'movie') {
+        metas = await traktService.getTrendingMovies(skip, genre);
+      } else if (type === 'series') {
+        metas = await traktService.getTrendingSeries(skip, genre);
+      }
+      break;
+
+    case 'tmdb-newly-released':
+      // Newly released (movies and series), TMDB discover with the user's filters (defaults without a session)
+      if (type === 'movie') {
+        metas = await tmdbService.getNewlyReleasedPopular(skip, preferences.discover);
+      } else if (type === 'series') {
+        metas = await tmdbService.getNewlyReleasedPopularSeries(skip, preferences.discover);
+      }
+      break;
+
+    case 'trakt-anticipated':
+    case 'trakt-popular':
+    case 'trakt-watched-weekly':
+    case 'trakt-watched-monthly':
+    case 'trakt-boxoffice':
+      // Trakt charts (opt-in), no auth
+      metas = await traktService.getChart(id.replace('trakt-', ''), type, skip, genre);
+      break;
+
+    case 'trakt-recommendations':
+      // Your personal recommendations (movies and series), falls back to trending without a session
+      if (!sessionId) {
+        console.log('ℹ️  No valid session for Trakt recommendations, serving trending instead');
         if (type === 'movie') {
-          metas = await traktService.getTrendingMovies(skip);
+          metas = await traktService.getTrendingMovies(skip, genre);
         } else if (type === 'series') {
-          metas = await traktService.getTrendingSeries(skip);
+          metas = await traktService.getTrendingSeries(skip, genre);
         }
+      } else if (type === 'movie') {
+        metas = await traktService.getMovieRecommendations(sessionId, skip, genre);
+      } else if (type === 'series') {
+        metas = await traktService.getSeriesRecommendations(sessionId, skip, genre);
+      }
+      break;
+      
+    case 'trakt-calendar':
+      // Airing This Week (series), from the user's Trakt calendar, requires a session
+      if (!sessionId) {
+        console.log('ℹ️  No valid session for Trakt calendar, returning empty catalog');
+        break;
+      }
+      if (type === 'series') {
+        metas = await traktService.getAiringThisWeek(sessionId, skip);
+      }
+      break;
+
+    case 'trakt-watchlist':
+      // My Watchlist (movies and series), requires a session
+      if (!sessionId) {
+        console.log('ℹ️  No valid session for Trakt watchlist, returning empty catalog');
+        break;
+      }
+      metas = await traktService.getWatchlist(sessionId, type, skip);
+      break;
+
+    case 'taste-for-you':
+      // For You (movies and series), ranked by the user's taste profile, requires a session
+      if (!sessionId) {
+        console.log('ℹ️  No valid session for For You, returning empty catalog');
         break;
+      }
+      metas = await tasteProfileService.getForYou(sessionId, type, skip);
+      break;
+
+    case 'trakt-upnext':
+      // Up Next (series), next unwatched episode of in-progress shows, requires a session
+      if (!sessionId) {
+        console.log('ℹ️  No valid session for Trakt Up Next, returning empty catalog');
+        break;
+      }
+      if (type === 'series') {
+        metas = await traktService.getUpNext(sessionId, skip);
+      }
+      break;
+
+    case 'tmdb-documentaries':
+      // Highly Rated Documentaries – Trakt list (shuffled each cache refresh, unwatched only if logged in)
+      if (type === 'movie') {
+        metas = await traktService.getDocumentaryList(skip, sessionId, genre);
+      }
+      break;
+
+    case 'trakt-search':
+      // Search results (Trakt, TMDB fallback), flagged as watched when logged in
+      if (!extra.search) {
+        return [];
+      }
+      metas = await traktService.searchTrakt(extra.search, type, skip);
+      if (sessionId) {
+        metas = await traktService.addWatchedFlags(metas, type, sessionId);
+      }
+      break;
 
-      case 'trakt-recommendations':
-        // Your personal recommendations (movies only), requires auth
+    default: {
+      // Because you watched <title> (because-watched-<tmdbId>), requires a session
+      const seedId = catalogManager.getBecauseWatchedSeed(id);
+      if (seedId) {
         if (!sessionId) {
-          console.warn('⚠️  No session provided for Trakt recommendations, returning empty');
-          return { metas: [] };
-        }
-        const isValid = await sessionManager.isValidSession(sessionId);
-        if (!isValid) {
-          console.warn('⚠️  Invalid session for Trakt recommendations, returning empty');
-          return { metas: [] };
+          console.log('ℹ️  No valid session for "Because you watched", returning empty catalog');
+          break;
         }
         if (type === 'movie') {
-          metas = await traktService.getMovieRecommendations(sessionId, skip);
+          metas = await recommendationService.getBecauseYouWatched(sessionId, seedId, skip);
         }
         break;
-        
-      case 'netflix-sweden-top10':
-        // Netflix Top 10 is public, no authentication needed (always 10 items)
-        if (type === 'movie') {
-          metas = await netflixService.getNetflixTop10Movies();
+      }
+
+      // User-added Trakt lists (trakt-list-<id>), sorted as chosen on the configure page
+      const listId = catalogManager.getListId(id);
+      if (listId) {
+        if (!sessionId) {
+          console.log('ℹ️  No valid session for Trakt list catalog, returning empty catalog');
+          break;
         }
+        const list = (preferences.lists || []).find(l => l.id === listId) || { id: listId };
+        metas = await traktService.getUserList(sessionId, list, type, skip);
         break;
+      }
 
-      case 'tmdb-documentaries':
-        // Highly Rated Documentaries – Trakt list (shuffled each cache refresh, unwatched only if logged in)
-        if (type === 'movie') {
-          metas = await traktService.getDocumentaryList(skip, sessionId);
+      // Netflix new this week / biggest climbers per country (netflix-<country>-new|climbers)
+      const movers = catalogManager.getNetflixMovers(id);
+      if (movers) {
+        // At most 10 items, so no further pages
+        if (skip === 0) {
+          metas = await netflixService.getNetflixMovers(movers.country, type, movers.view);
+        }
+        break;
+      }
+
+      // Disney+, Max, Prime Video and Apple TV+ Top 10 per country (<service>-<country>-top10), via FlixPatrol
+      const streaming = catalogManager.getStreamingTop10(id);
+      if (streaming) {
+        // Always 10 items, so no further pages
+        if (skip === 0) {
+          metas = await netflixService.getStreamingTop10(streaming.service, streaming.country, type);
         }
         break;
+      }
 
-      default:
+      // Netflix Top 10 per country (netflix-<country>-top10), public, no authentication needed
+      const country = catalogManager.getNetflixCountry(id);
+      if (!country) {
         console.warn(`⚠️  Unknown catalog ID: ${id}`);
-        return { metas: [] };
+        return [];
+      }
+      // Always 10 items, so no further pages
+      if (skip > 0) {
+        break;
+      }
+      if (type === 'movie') {
+        metas = await netflixService.getNetflixTop10Movies(country);
+      } else if (type === 'series') {
+        metas = await netflixService.getNetflixTop10Series(country);
+      }
+      break;
+    }
+  }
+  
+  return metas;
+}
+
+/**
+ * Catalog Handler
+ * Routes catalog requests to appropriate service (session-aware)
+ * With "hide watched" enabled, watched titles are filtered out and pages refilled from the next source pages
+ */
+builder.defineCatalogHandler(async (args) => {
+  const { type, id, extra = {} } = args;
+  const sessionId = await extractSession(args);
+  const skip = parseInt(extra.skip || 0);
+  const genre = extra.genre || null;
+  
+  console.log(`📺 Catalog request: type=${type}, id=${id}, skip=${skip}${genre ? ', genre=' + genre : ''}, session=${sessionId ? sessionId.substring(0, 8) + '...' : 'none'}`);
+  
+  try {
+    const preferences = sessionId ? await sessionManager.getPreferences(sessionId) : {};
+    const hidden = sessionId && !HIDE_WATCHED_EXEMPT.has(id)
+      ? await traktService.getHiddenIds(sessionId, type, preferences.hideWatched)
+      : null;
+    
+    let metas;
+    if (hidden) {
+      metas = await fillPage(
+        sourceSkip => getCatalogPage(type, id, extra, sessionId, sourceSkip, preferences),
+        meta => !traktService.isWatched(meta, hidden),
+        skip
+      );
+    } else {
+      metas = await getCatalogPage(type, id, extra, sessionId, skip, preferences);
     }
     
     console.log(`✅ Returning ${metas.length} items for ${id} (${type})`);
@@ -142,33 +299,53 @@ builder.defineCatalogHandler(async (args) => {
   }
 });
 
+/**
+ * Meta Handler
+ * Resolves trakt:, tmdb: and netflix: IDs into full metas (IMDB IDs are served by Cinemeta)
+ */
+builder.defineMetaHandler(async (args) => {
+  const { type, id } = args;
+  const sessionId = await extractSession(args);
+  
+  console.log(`📄 Meta request: type=${type}, id=${id}`);
+  
+  try {
+    const meta = await metaService.getMeta(type, id, sessionId);
+    
+    if (!meta) {
+      console.warn(`⚠️  No meta found for ${id} (${type})`);
+      return { meta: null };
+    }
+    
+    return { meta };
+  } catch (error) {
+    console.error(`❌ Error handling meta ${id}:`, error.message);
+    return { meta: null };
+  }
+});
+
 /**
  * Stream Handler
  * Used to detect when user starts watching content (session-aware for scrobbling)
- * We don't provide actual streams, but use this as a trigger for watch syncing
+ * We don't provide actual streams, but use this as a trigger for watch syncing:
+ * a stream request starts a pending watch that is marked watched on Trakt once enough of the runtime has passed
  */
 builder.defineStreamHandler(async (args) => {
   const { type, id } = args;
-  const sessionId = extractSession(args);
+  const sessionId = await extractSession(args);
   
   console.log(`🎬 Stream request: type=${type}, id=${id}, session=${sessionId ? sessionId.substring(0, 8) + '...' : 'none'}`);
   
-  // Parse the ID to extract IMDB ID and episode info
-  const { imdbId, season, episode } = scrobbleService.parseStremioId(id);
-  
-  if (imdbId && sessionId) {
-    // Mark as watched on Trakt (fire and forget) - requires session
-    const isValid = await sessionManager.isValidSession(sessionId);
-    if (isValid) {
-      scrobbleService.markAsWatched(sessionId, imdbId, type, season, episode)
-        .catch(error => {
-          console.error('Error marking as watched:', error.message);
-        });
-    } else {
-      console.log('ℹ️  Invalid session, skipping watch sync');
-    }
-  } else if (!sessionId) {
-    console.log('ℹ️  No session provided, skipping watch sync');
+  if (sessionId) {
+    // Commit a due pending watch, start one for this title and retry queued syncs (fire and forget) - requires a valid session
+    scrobbleService.startWatch(sessionId, id, type)
+      .catch(error => {
+        console.error('Error starting pending watch:', error.message);
+      })
+      .then(() => scrobbleService.drainQueue(sessionId))
+      .catch(error => console.error('Error retrying queued watch syncs:', error.message));
+  } else {
+    console.log('ℹ️  No valid session, skipping watch sync');
   }
   
   // Return empty streams (we don't provide any streams)
@@ -11,15 +11,74 @@ const config = {
   tmdb: {
     apiKey: process.env.TMDB_API_KEY,
     apiUrl: 'https://api.themoviedb.org/3',
-    imageBaseUrl: 'https://image.tmdb.org/t/p'
+    imageBaseUrl: 'https://image.tmdb.org/t/p',
+    // Default "Newly Released" discover filters (each user can override them on the configure page)
+    discover: {
+      watchRegion: 'SE',
+      excludeLanguages: ['ta', 'zh', 'ja', 'ru'], // Tamil, Chinese, Japanese, Russian
+      minVotes: 50,
+      minRating: 6
+    }
+  },
+  netflix: {
+    // Weekly Top 10 datasets (the primary source, the Tudum pages are scraped when they're unavailable)
+    tsv: {
+      countriesUrl: process.env.NETFLIX_TSV_COUNTRIES_URL || 'https://www.netflix.com/tudum/top10/data/all-weeks-countries.tsv',
+      globalUrl: process.env.NETFLIX_TSV_GLOBAL_URL || 'https://www.netflix.com/tudum/top10/data/all-weeks-global.tsv'
+    },
+    // Tudum Top 10 country slugs (netflix.com/tudum/top10/<slug>), 'global' is the worldwide list
+    defaultCountry: 'sweden',
+    countries: {
+      global: 'Global',
+      sweden: 'Sweden',
+      norway: 'Norway',
+      denmark: 'Denmark',
+      finland: 'Finland',
+      germany: 'Germany',
+      netherlands: 'Netherlands',
+      france: 'France',
+      spain: 'Spain',
+      italy: 'Italy',
+      poland: 'Poland',
+      'united-kingdom': 'United Kingdom',
+      'united-states': 'United States',
+      canada: 'Canada',
+      australia: 'Australia'
+    }
   },
   flixpatrol: {
     apiKey: process.env.FLIXPATROL_API_KEY,
-    apiUrl: 'https://api.flixpatrol.com'
+    apiUrl: 'https://api.flixpatrol.com',
+    // Public Top 10 pages, used when the API isn't configured or fails
+    webUrl: 'https://flixpatrol.com',
+    // Streaming services with Top 10 catalogs (catalog slug → display name and FlixPatrol slug)
+    services: {
+      'disney-plus': { name: 'Disney+', slug: 'disney' },
+      max: { name: 'Max', slug: 'hbo-max' },
+      'prime-video': { name: 'Prime Video', slug: 'amazon-prime' },
+      'apple-tv': { name: 'Apple TV+', slug: 'apple-tv' }
+    },
+    // Countries offered for these services (Tudum country slugs, see netflix.countries)
+    countries: ['global', 'sweden', 'united-kingdom', 'united-states']
+  },
+  scrobble: {
+    // A title is marked watched on Trakt once this share of its runtime has passed since the stream request
+    watchedPercent: parseInt(process.env.SCROBBLE_WATCHED_PERCENT, 10) || 70,
+    // The same movie or episode isn't recorded again within this many hours
+    dedupeHours: parseInt(process.env.SCROBBLE_DEDUPE_HOURS, 10) || 12,
+    // Runtimes (minutes) assumed when TMDB doesn't know one
+    defaultRuntime: {
+      movie: 100,
+      series: 45
+    }
   },
   server: {
     port: process.env.PORT || 8000
   },
+  admin: {
+    // Required by admin endpoints that change shared data; they are disabled without it
+    secret: process.env.ADMIN_SECRET
+  },
   cache: {
     traktTTL: 30 * 60 * 1000, // 30 minutes
     tmdbTTL: 2 * 60 * 60 * 1000, // 2 hours
@@ -42,9 +101,13 @@ function validateConfig() {
   }
 
   if (!config.flixpatrol.apiKey) {
-    console.warn('ℹ️  FLIXPATROL_API_KEY not set. Will use Netflix official API for Top 10.');
+    console.warn('ℹ️  FLIXPATROL_API_KEY not set. Streaming Top 10s will be scraped from flixpatrol.com only.');
   }
   
+  if (!config.admin.secret) {
+    console.warn('ℹ️  ADMIN_SECRET not set. Admin upload and ingest endpoints are disabled.');
+  }
+
   console.log('ℹ️  Trakt authentication is handled via OAuth web interface');
 }
 
@@ -0,0 +1,425 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const addonInterface = require('../addon');
+const sessionManager = require('../utils/sessionManager');
+const catalogManager = require('../utils/catalogManager');
+const traktService = require('../services/traktService');
+const tmdbService = require('../services/tmdbService');
+const recommendationService = require('../services/recommendationService');
+const scrobbleService = require('../services/scrobbleService');
+const { getBaseUrl } = require('../utils/requestUrl');
+
+const router = express.Router();
+
+const MAX_LISTS = 20;
+
+/**
+ * Configure Routes
+ * Per-user catalog selection, ordering and naming, plus the per-user manifest
+ */
+
+/**
+ * GET /:session/manifest.json - Personalized manifest
+ * Reflects the catalogs the user picked on the configure page, with the current
+ * "Because you watched" rows (they rotate, so the rows change as Stremio refreshes the manifest).
+ * Unknown sessions fall through to the SDK router (default manifest, anonymous catalogs)
+ */
+router.get('/:session/manifest.json', async (req, res, next) => {
+  const { session } = req.params;
+
+  const isValid = await sessionManager.isValidSession(session);
+  if (!isValid) {
+    return next();
+  }
+
+  const preferences = await sessionManager.getPreferences(session);
+  const catalogs = catalogManager.resolveCatalogs(preferences);
+  const seeds = await recommendationService.getBecauseYouWatchedSeeds(session);
+
+  res.json({
+    ...addonInterface.manifest,
+    catalogs: catalogManager.expandBecauseWatched(catalogs, seeds)
+  });
+});
+
+/**
+ * GET /:session/configure - Configure page (opened by Stremio's "Configure" button)
+ */
+router.get('/:session/configure', async (req, res) => {
+  const { session } = req.params;
+
+  const isValid = await sessionManager.isValidSession(session);
+  if (!isValid) {
+    return res.redirect('/error?error=' + encodeURIComponent('Invalid session. Please authenticate again.'));
+  }
+
+  let html = fs.readFileSync(path.join(__dirname, '../views/configure.html'), 'utf8');
+  const manifestUrl = `${getBaseUrl(req)}/${session}/manifest.json`;
+
+  html = html.replace(/SESSION_ID_HERE/g, session);
+  html = html.replace(/MANIFEST_URL_HERE/g, manifestUrl);
+
+  res.send(html);
+});
+
+/**
+ * GET /api/configure/:session - Current catalog configuration (JSON API)
+ */
+router.get('/api/configure/:session', async (req, res) => {
+  const { session } = req.params;
+
+  const isValid = await sessionManager.isValidSession(session);
+  if (!isValid) {
+    return res.status(404).json({
+      success: false,
+      error: 'Invalid session'
+    });
+  }
+
+  const preferences = await sessionManager.getPreferences(session);
+
+  res.json({
+    success: true,
+    catalogs: catalogManager.describeCatalogs(preferences),
+    lists: preferences.lists || [],
+    listSortOptions: traktService.LIST_SORT_OPTIONS,
+    discover: tmdbService.getDiscoverSettings(preferences.discover),
+    hideWatched: { movies: false, series: 'off', ...preferences.hideWatched },
+    hideWatchedSeriesModes: traktService.HIDE_WATCHED_SERIES_MODES
+  });
+});
+
+/**
+ * POST /api/configure/:session - Save catalog selection
+ * Body: { catalogs: [{ key, name }] } – enabled catalogs in display order
+ */
+router.post('/api/configure/:session', async (req, res) => {
+  const { session } = req.params;
+
+  const isValid = await sessionManager.isValidSession(session);
+  if (!isValid) {
+    return res.status(404).json({
+      success: false,
+      error: 'Invalid session'
+    });
+  }
+
+  const preferences = await sessionManager.getPreferences(session);
+
+  let catalogs;
+  try {
+    catalogs = catalogManager.sanitizeCatalogSelection(req.body?.catalogs, preferences);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  const saved = await sessionManager.updatePreferences(session, { catalogs });
+  if (!saved) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to save configuration'
+    });
+  }
+
+  console.log(`✅ Saved catalog configuration for session ${session.substring(0, 8)}... (${catalogs.length} catalogs)`);
+
+  res.json({
+    success: true,
+    catalogs: catalogManager.describeCatalogs({ ...preferences, catalogs }),
+    manifestUrl: `${getBaseUrl(req)}/${session}/manifest.json`
+  });
+});
+
+/**
+ * POST /api/configure/:session/discover - Save "Newly Released" discover filters
+ * Body: { watchRegion, excludeLanguages, minVotes, minRating }
+ */
+router.post('/api/configure/:session/discover', async (req, res) => {
+  const { session } = req.params;
+
+  const isValid = await sessionManager.isValidSession(session);
+  if (!isValid) {
+    return res.status(404).json({
+      success: false,
+      error: 'Invalid session'
+    });
+  }
+
+  let discover;
+  try {
+    discover = tmdbService.sanitizeDiscoverSettings(req.body);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  const saved = await sessionManager.updatePreferences(session, { discover });
+  if (!saved) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to save discover settings'
+    });
+  }
+
+  console.log(`✅ Saved discover settings for session ${session.substring(0, 8)}... (${JSON.stringify(discover)})`);
+
+  res.json({
+    success: true,
+    discover
+  });
+});
+
+/**
+ * POST /api/configure/:session/hide-watched - Save "hide watched" settings
+ * Body: { movies: boolean, series: 'off' | 'completed' | 'started' }
+ */
+router.post('/api/configure/:session/hide-watched', async (req, res) => {
+  const { session } = req.params;
+
+  const isValid = await sessionManager.isValidSession(session);
+  if (!isValid) {
+    return res.status(404).json({
+      success: false,
+      error: 'Invalid session'
+    });
+  }
+
+  let hideWatched;
+  try {
+    hideWatched = traktService.sanitizeHideWatched(req.body);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  const saved = await sessionManager.updatePreferences(session, { hideWatched });
+  if (!saved) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to save hide watched settings'
+    });
+  }
+
+  console.log(`✅ Saved hide watched settings for session ${session.substring(0, 8)}... (movies=${hideWatched.movies}, series=${hideWatched.series})`);
+
+  res.json({
+    success: true,
+    hideWatched
+  });
+});
+
+/**
+ * POST /api/configure/:session/lists - Add a Trakt list (or change its sort order)
+ * Body: { url, sort } – any public, own or liked list URL; sort is one of the list sort options
+ * The list becomes a movie and a series catalog, appended to the user's selection
+ */
+router.post('/api/configure/:session/lists', async (req, res) => {
+  const { session } = req.params;
+
+  const isValid = await sessionManager.isValidSession(session);
+  if (!isValid) {
+    return res.status(404).json({
+      success: false,
+      error: 'Invalid session'
+    });
+  }
+
+  const { url, sort = 'rank' } = req.body || {};
+
+  if (!traktService.parseListUrl(url)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Enter a Trakt list URL, e.g. https://trakt.tv/users/<user>/lists/<list>'
+    });
+  }
+
+  if (!traktService.LIST_SORT_OPTIONS.includes(sort)) {
+    return res.status(400).json({
+      success: false,
+      error: `Sort must be one of: ${traktService.LIST_SORT_OPTIONS.join(', ')}`
+    });
+  }
+
+  const preferences = await sessionManager.getPreferences(session);
+  const lists = preferences.lists || [];
+
+  const info = await traktService.getListInfo(url, session);
+  if (!info) {
+    return res.status(404).json({
+      success: false,
+      error: 'Trakt list not found (private lists can only be added by their owner)'
+    });
+  }
+
+  const existing = lists.find(list => list.id === info.id);
+  if (!existing && lists.length >= MAX_LISTS) {
+    return res.status(400).json({
+      success: false,
+      error: `You can add up to ${MAX_LISTS} lists`
+    });
+  }
+
+  const list = { id: info.id, slug: info.slug, name: info.name, username: info.username, userSlug: info.userSlug, sort };
+  const updatedLists = existing
+    ? lists.map(l => (l.id === info.id ? list : l))
+    : [...lists, list];
+
+  // Show the new list's catalogs when the user has picked catalogs themselves
+  let catalogs = preferences.catalogs;
+  if (Array.isArray(catalogs) && catalogs.length > 0 && !existing) {
+    const listKeys = catalogManager.getListCatalogs([list]).map(catalogManager.getCatalogKey);
+    catalogs = [...catalogs, ...listKeys.map(key => ({ key }))];
+  }
+
+  const saved = await sessionManager.updatePreferences(session, { lists: updatedLists, catalogs });
+  if (!saved) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to save list'
+    });
+  }
+
+  console.log(`✅ ${existing ? 'Updated' : 'Added'} Trakt list ${info.id} (${info.name}) for session ${session.substring(0, 8)}...`);
+
+  const updated = { ...preferences, lists: updatedLists, catalogs };
+  res.json({
+    success: true,
+    catalogs: catalogManager.describeCatalogs(updated),
+    lists: updatedLists
+  });
+});
+
+/**
+ * DELETE /api/configure/:session/lists/:listId - Remove a Trakt list and its catalogs
+ */
+router.delete('/api/configure/:session/lists/:listId', async (req, res) => {
+  const { session, listId } = req.params;
+
+  const isValid = await sessionManager.isValidSession(session);
+  if (!isValid) {
+    return res.status(404).json({
+      success: false,
+      error: 'Invalid session'
+    });
+  }
+
+  const preferences = await sessionManager.getPreferences(session);
+  const lists = (preferences.lists || []).filter(list => list.id !== listId);
+  const removedKeys = new Set(catalogManager.getListCatalogs([{ id: listId }]).map(catalogManager.getCatalogKey));
+  const remaining = (preferences.catalogs || []).filter(entry => !removedKeys.has(entry.key));
+  // Removing the last selected catalogs falls back to the defaults
+  const catalogs = remaining.length > 0 ? remaining : undefined;
+
+  const saved = await sessionManager.updatePreferences(session, { lists, catalogs });
+  if (!saved) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to remove list'
+    });
+  }
+
+  console.log(`✅ Removed Trakt list ${listId} for session ${session.substring(0, 8)}...`);
+
+  const updated = { ...preferences, lists, catalogs };
+  res.json({
+    success: true,
+    catalogs: catalogManager.describeCatalogs(updated),
+    lists
+  });
+});
+
+/**
+ * GET /api/configure/:session/sync-queue - Watch syncs waiting for a retry, and ones that gave up
+ */
+router.get('/api/configure/:session/sync-queue', async (req, res) => {
+  const { session } = req.params;
+
+  const isValid = await sessionManager.isValidSession(session);
+  if (!isValid) {
+    return res.status(404).json({
+      success: false,
+      error: 'Invalid session'
+    });
+  }
+
+  res.json({
+    success: true,
+    ...(await scrobbleService.getQueue(session))
+  });
+});
+
+/**
+ * POST /api/configure/:session/sync-queue/retry - Retry the failed watch syncs now
+ */
+router.post('/api/configure/:session/sync-queue/retry', async (req, res) => {
+  const { session } = req.params;
+
+  const isValid = await sessionManager.isValidSession(session);
+  if (!isValid) {
+    return res.status(404).json({
+      success: false,
+      error: 'Invalid session'
+    });
+  }
+
+  let requeued;
+  try {
+    requeued = await scrobbleService.retryFailed(session);
+    if (requeued > 0) {
+      await scrobbleService.drainQueue(session);
+    }
+  } catch (error) {
+    return res.status(503).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  console.log(`✅ Retried ${requeued} failed watch syncs for session ${session.substring(0, 8)}...`);
+
+  res.json({
+    success: true,
+    ...(await scrobbleService.getQueue(session))
+  });
+});
+
+/**
+ * DELETE /api/configure/:session/sync-queue/failed - Dismiss the failed watch syncs
+ */
+router.delete('/api/configure/:session/sync-queue/failed', async (req, res) => {
+  const { session } = req.params;
+
+  const isValid = await sessionManager.isValidSession(session);
+  if (!isValid) {
+    return res.status(404).json({
+      success: false,
+      error: 'Invalid session'
+    });
+  }
+
+  let removed;
+  try {
+    removed = await scrobbleService.clearFailed(session);
+  } catch (error) {
+    return res.status(503).json({
+      success: false,
+      error: error.message
+    });
+  }
+  console.log(`✅ Dismissed ${removed} failed watch syncs for session ${session.substring(0, 8)}...`);
+
+  res.json({
+    success: true,
+    ...(await scrobbleService.getQueue(session))
+  });
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const { parseNetflixCSV } = require('../utils/netflixCsvParser');
 const { batchSearch } = require('../services/titleMatcher');
 const { bulkMarkAsWatched } = require('../services/scrobbleService');
+const tasteProfileService = require('../services/tasteProfileService');
 
 const router = express.Router();
 
@@ -181,6 +182,14 @@ router.post('/api/import-netflix', async (req, res) => {
     }
 
     console.log(`🎉 Import complete: ${syncResult.synced} synced to Trakt`);
+
+    // Add the imported history to the taste profile (fire and forget)
+    tasteProfileService.recordImportedPlays(sessionId, matched.map(m => ({
+      imdbId: m.match.imdbId,
+      tmdbId: m.match.tmdbId,
+      type: m.match.type
+    }))).catch(err => console.error('❌ Error updating taste profile:', err.message));
+
     sendProgress({
       type: 'complete',
       progress: 100,
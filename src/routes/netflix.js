@@ -0,0 +1,139 @@
+const express = require('express');
+const { config } = require('../config');
+const netflixService = require('../services/netflixService');
+const netflixHistoryService = require('../services/netflixHistoryService');
+const netflixTsvService = require('../services/netflixTsvService');
+const scrapeHealthService = require('../services/scrapeHealthService');
+const { requireAdminSecret } = require('../utils/adminAuth');
+
+const router = express.Router();
+
+/**
+ * Netflix Routes
+ * Public Netflix Top 10 history (weekly snapshots per country), Top 10 TSV ingestion and scrape health
+ */
+
+/**
+ * GET /api/netflix/history/:type/:id - A title's weekly Top 10 ranks in a country
+ * Query: country (Tudum country slug, default: the configured default country)
+ * The ID is the one the Top 10 catalog uses (IMDB ID, tmdb: or netflix: ID)
+ */
+router.get('/api/netflix/history/:type/:id', async (req, res) => {
+  const { type, id } = req.params;
+  const country = typeof req.query.country === 'string' ? req.query.country : config.netflix.defaultCountry;
+
+  if (!['movie', 'series'].includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid type (must be movie or series)'
+    });
+  }
+
+  if (!netflixService.isSupportedCountry(country)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported country: ${country}`
+    });
+  }
+
+  try {
+    const weeks = await netflixHistoryService.getTitleHistory(country, type, id);
+
+    res.json({
+      success: true,
+      id,
+      type,
+      country,
+      name: weeks.length > 0 ? weeks[weeks.length - 1].name : null,
+      weeksInTop10: weeks.length,
+      bestRank: weeks.length > 0 ? Math.min(...weeks.map(week => week.rank)) : null,
+      weeks: weeks.map(({ week, rank }) => ({ week, rank }))
+    });
+  } catch (error) {
+    console.error(`❌ Error reading Netflix Top 10 history for ${id}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read Top 10 history'
+    });
+  }
+});
+
+/**
+ * POST /admin/netflix-top10/upload - Ingest an uploaded Netflix Top 10 TSV dataset
+ * Body: { tsvData } with the contents of all-weeks-countries.tsv or all-weeks-global.tsv
+ * (or an excerpt with the header and the latest week)
+ * Requires the admin secret; files with weeks in the future are rejected
+ */
+router.post('/admin/netflix-top10/upload', requireAdminSecret, async (req, res) => {
+  const { tsvData } = req.body;
+
+  if (!tsvData || typeof tsvData !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'No TSV data provided'
+    });
+  }
+
+  try {
+    const result = await netflixTsvService.ingestTsv(tsvData, 'upload');
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ Error ingesting uploaded Netflix Top 10 TSV:', error.message);
+    res.status(400).json({
+      success: false,
+      error: `TSV parsing failed: ${error.message}`
+    });
+  }
+});
+
+/**
+ * POST /admin/netflix-top10/ingest - Download and ingest the configured Netflix Top 10 TSV datasets now
+ * Requires the admin secret
+ */
+router.post('/admin/netflix-top10/ingest', requireAdminSecret, async (req, res) => {
+  const results = await netflixTsvService.ingestFromUrls();
+
+  if (results.length === 0) {
+    return res.status(502).json({
+      success: false,
+      error: 'No TSV dataset could be downloaded'
+    });
+  }
+
+  res.json({
+    success: true,
+    datasets: results
+  });
+});
+
+/**
+ * GET /admin/netflix-top10/health - Scrape health of every Netflix Top 10 (per country and type)
+ * Status per Top 10: 'ok' (TSV datasets worked), 'degraded' (a fallback source was used),
+ * 'failing' (all sources failed, the last-known-good Top 10 is served) or 'unknown' (not refreshed yet)
+ * Requires the admin secret
+ */
+router.get('/admin/netflix-top10/health', requireAdminSecret, async (req, res) => {
+  const countries = {};
+  const summary = { ok: 0, degraded: 0, failing: 0, unknown: 0 };
+
+  for (const country of Object.keys(config.netflix.countries)) {
+    countries[country] = {};
+    for (const category of ['movies', 'series']) {
+      const health = await scrapeHealthService.getHealth(`netflix:${country}:${category}`);
+      countries[country][category] = health || { status: 'unknown' };
+      summary[countries[country][category].status]++;
+    }
+  }
+
+  res.json({
+    success: true,
+    status: summary.failing > 0 ? 'failing' : summary.degraded > 0 ? 'degraded' : 'ok',
+    summary,
+    countries
+  });
+});
+
+module.exports = router;
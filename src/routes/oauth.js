@@ -3,30 +3,11 @@ const fetch = require('node-fetch');
 const path = require('path');
 const tokenManager = require('../utils/tokenManager');
 const sessionManager = require('../utils/sessionManager');
+const { getBaseUrl } = require('../utils/requestUrl');
 const { config } = require('../config');
 
 const router = express.Router();
 
-// Get base URL from the actual request (supports any Vercel URL including previews)
-function getBaseUrl(req) {
-  const host = req.get('host');
-  
-  // Vercel always uses HTTPS, localhost uses HTTP
-  let protocol = 'http';
-  
-  // Check if running on Vercel or if the request came through HTTPS
-  if (process.env.VERCEL || req.get('x-forwarded-proto') === 'https' || req.secure) {
-    protocol = 'https';
-  }
-  
-  // For localhost, keep HTTP
-  if (host && host.includes('localhost')) {
-    protocol = 'http';
-  }
-  
-  return `${protocol}://${host}`;
-}
-
 /**
  * OAuth Routes for Trakt Authentication (Multi-User)
  */
@@ -203,7 +184,7 @@ router.get('/auth/callback', async (req, res) => {
       await sessionManager.updateSession(sessionId, { username: userInfo.username });
     }
     
-    // Redirect to success page with session ID for hardcoding
+    // Redirect to success page with the personalized addon URL
     res.redirect(`/success?session=${sessionId}`);
   } catch (error) {
     console.error('❌ Error during token exchange:', error.message);
@@ -233,7 +214,8 @@ router.get('/success', async (req, res) => {
   // Get base URL
   const baseUrl = getBaseUrl(req);
   
-  const manifestUrl = `${baseUrl}/manifest.json`;
+  // Personalized manifest URL carrying this user's session
+  const manifestUrl = `${baseUrl}/${session}/manifest.json`;
   const stremioUrl = manifestUrl.replace(/^https?:\/\//, 'stremio://');
   
   html = html.replace(/stremio:\/\/127\.0\.0\.1:8000\/manifest\.json/g, stremioUrl);
@@ -243,6 +225,14 @@ router.get('/success', async (req, res) => {
   res.send(html);
 });
 
+/**
+ * GET /configure - Stremio "Configure" button target
+ * Personalized URLs are handed out after authenticating, so start there
+ */
+router.get('/configure', (req, res) => {
+  res.redirect('/');
+});
+
 /**
  * GET /error - Error page
  */
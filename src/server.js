@@ -9,7 +9,11 @@ const { config, validateConfig } = require('./config');
 const addonInterface = require('./addon');
 const oauthRouter = require('./routes/oauth');
 const importRouter = require('./routes/import');
+const configureRouter = require('./routes/configure');
+const netflixRouter = require('./routes/netflix');
 const posterService = require('./services/posterService');
+const scrobbleService = require('./services/scrobbleService');
+const { requireAdminSecret } = require('./utils/adminAuth');
 
 /**
  * Stremio Add-on Server (Vercel + Local Development)
@@ -25,7 +29,7 @@ const app = express();
 // Middleware
 app.use(cors()); // Enable CORS for Stremio
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
-app.use(bodyParser.json({ limit: '10mb' })); // Increased limit for Netflix CSV uploads
+app.use(bodyParser.json({ limit: '10mb' })); // Increased limit for Netflix CSV and Top 10 TSV uploads
 app.use(cookieParser());
 
 // Serve static files from public directory (for icon.png, favicon, etc.)
@@ -66,13 +70,18 @@ app.get('/test/redis', async (req, res) => {
 // POSTER ROUTES - Must be BEFORE OAuth routes
 // =====================================================
 
-// Netflix poster badge route
-// Serves TMDB posters with Netflix rank badges overlaid
+// Top 10 poster badge route
+// Serves TMDB posters with rank badges overlaid (Netflix and the FlixPatrol streaming Top 10s)
 app.get('/poster/:type/:rank/:id.jpg', async (req, res) => {
   console.log(`🖼️  Poster request received: ${req.params.type}/${req.params.rank}/${req.params.id}`);
   
   const { type, rank, id } = req.params;
   const rankNum = parseInt(rank, 10);
+  // Top 10 country and streaming service the rank belongs to (optional, keep badges of different lists apart)
+  const country = typeof req.query.country === 'string' ? req.query.country : 'default';
+  const service = typeof req.query.service === 'string' ? req.query.service : 'netflix';
+  // Rank movement since last week (optional, drawn next to the badge)
+  const movement = ['up', 'down', 'new'].includes(req.query.movement) ? req.query.movement : null;
   
   // Validate inputs
   if (!['movie', 'series'].includes(type)) {
@@ -84,12 +93,22 @@ app.get('/poster/:type/:rank/:id.jpg', async (req, res) => {
     console.log(`   ❌ Invalid rank: ${rank}`);
     return res.status(400).send('Invalid rank (must be 1-10)');
   }
+
+  if (country !== 'default' && !Object.prototype.hasOwnProperty.call(config.netflix.countries, country)) {
+    console.log(`   ❌ Invalid country: ${country}`);
+    return res.status(400).send('Invalid country');
+  }
+
+  if (service !== 'netflix' && !Object.prototype.hasOwnProperty.call(config.flixpatrol.services, service)) {
+    console.log(`   ❌ Invalid service: ${service}`);
+    return res.status(400).send('Invalid service');
+  }
   
   try {
     console.log(`🖼️  Poster request: type=${type}, rank=${rankNum}, id=${id}`);
     
     // Build cache key
-    const cacheKey = `${type}:${rankNum}:${id}`;
+    const cacheKey = `${service}:${country}:${type}:${rankNum}:${id}:${movement || 'none'}`;
     
     // Determine if id is IMDB or TMDB format
     let tmdbId = null;
@@ -148,7 +167,7 @@ app.get('/poster/:type/:rank/:id.jpg', async (req, res) => {
     const posterUrl = `${config.tmdb.imageBaseUrl}/w500${posterPath}`;
     
     // Get badged poster from service (with caching)
-    const imageBuffer = await posterService.getPosterWithBadge(posterUrl, rankNum, cacheKey);
+    const imageBuffer = await posterService.getPosterWithBadge(posterUrl, rankNum, cacheKey, movement);
     
     // Set response headers
     res.set({
@@ -184,15 +203,39 @@ app.get('/admin/clear-cache', async (req, res) => {
       'trakt:list:cdtv:rotten-tomatoes-100-best-documentaries-ranked-by-tomatometer*',
       'trakt:documentaries:shuffled:*',
       'trakt:watched:movies:*',
-      // Netflix Top 10
-      'netflix:sweden:movies:top10',
-      'netflix:sweden:series:top10',
+      'trakt:watched:shows:*',
+      // Netflix Top 10 (all countries)
+      'netflix:*:movies:top10',
+      'netflix:*:series:top10',
+      // Disney+, Max, Prime Video and Apple TV+ Top 10 (all countries)
+      'top10:*',
       // Trakt recommendations (all sessions and pages)
       'trakt:movies:recommendations:*',
       'trakt:series:recommendations:*',
-      // Trakt trending (all pages)
+      // Trakt watchlists, Up Next, calendar and show progress (all sessions)
+      'trakt:watchlist:*',
+      'trakt:calendar:*',
+      'trakt:upnext:*',
+      'trakt:progress:*',
+      // User-added Trakt lists (all sessions)
+      'trakt:userlist:*',
+      // Because you watched: history, ratings and per-seed rows (all sessions)
+      'trakt:history:movies:*',
+      'trakt:ratings:movies:*',
+      'recommendations:because-watched:*',
+      // For You rankings (taste profiles are kept)
+      'taste:foryou:*',
+      // Trakt trending (all genres and pages)
       'trakt:movies:trending:*',
-      'trakt:series:trending:*'
+      'trakt:series:trending:*',
+      // Trakt charts (all genres and pages)
+      'trakt:movies:anticipated:*',
+      'trakt:series:anticipated:*',
+      'trakt:movies:popular:*',
+      'trakt:series:popular:*',
+      'trakt:movies:watched-*',
+      'trakt:series:watched-*',
+      'trakt:movies:boxoffice:*'
     ];
     
     let totalCleared = 0;
@@ -217,7 +260,8 @@ app.get('/admin/clear-cache', async (req, res) => {
       catalogs: [
         '🆕 Newly Released Movies (TMDB)',
         '🆕 Newly Released Series (TMDB)',
-        '🎬 Netflix Sweden Top 10',
+        '🎬 Netflix Top 10 (all countries)',
+        '🏆 Disney+, Max, Prime Video and Apple TV+ Top 10 (all countries)',
         '⭐ Trakt Recommendations (Movies)',
         '📺 Trakt Recommendations (Series)'
       ]
@@ -230,6 +274,33 @@ app.get('/admin/clear-cache', async (req, res) => {
   }
 });
 
+// Commit every due pending watch and retry queued watch syncs (call from a cron job on serverless deployments, admin only)
+app.post('/admin/scrobble/flush', requireAdminSecret, async (req, res) => {
+  try {
+    const result = await scrobbleService.flushDueWatches();
+    const retries = await scrobbleService.drainAllQueues();
+    res.json({
+      success: true,
+      ...result,
+      retries
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Watch sync stats: plays synced, duplicates skipped, queued for retry, failures (admin only, lists watched titles)
+app.get('/admin/scrobble/stats', requireAdminSecret, async (req, res) => {
+  res.json({
+    success: true,
+    dedupeHours: config.scrobble.dedupeHours,
+    ...(await scrobbleService.getSyncStats())
+  });
+});
+
 // Legacy redirect for old endpoint name
 app.get('/admin/clear-netflix-cache', (req, res) => {
   res.redirect(301, '/admin/clear-cache');
@@ -245,8 +316,25 @@ app.use('/', oauthRouter);
 // Mount import API routes
 app.use('/', importRouter);
 
+// Mount Netflix Top 10 history API and TSV ingestion
+app.use('/', netflixRouter);
+
+// Mount configure routes (before the addon router so per-user manifests take precedence)
+app.use('/', configureRouter);
+
 // Mount Stremio addon routes
-// Session is passed via query parameter (?session=xxx) and read in handlers via args.extra.session
+// Personalized installs use /<session>/manifest.json. The SDK router expects its config
+// segment as JSON, so rewrite the bare session ID into {"session":"..."} before handing over.
+// Handlers read it via args.config.session
+const SESSION_PATH_REGEX = /^\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})(\/.*)$/i;
+app.use((req, res, next) => {
+  const match = req.url.match(SESSION_PATH_REGEX);
+  if (match) {
+    req.url = `/${encodeURIComponent(JSON.stringify({ session: match[1] }))}${match[2]}`;
+  }
+  next();
+});
+
 const addonRouter = getRouter(addonInterface);
 app.use('/', addonRouter);
 
@@ -263,7 +351,8 @@ if (process.env.NODE_ENV !== 'production' && !process.env.VERCEL) {
     console.log('=====================================');
     console.log('');
     console.log(`📍 Web Interface: http://localhost:${port}`);
-    console.log(`📄 Manifest: http://127.0.0.1:${port}/manifest.json`);
+    console.log(`📄 Manifest: http://127.0.0.1:${port}/manifest.json (anonymous)`);
+    console.log(`   Personalized: http://127.0.0.1:${port}/<session>/manifest.json`);
     console.log('');
     console.log('🔐 Multi-User Setup:');
     console.log(`   1. Visit http://localhost:${port}`);
@@ -274,7 +363,7 @@ if (process.env.NODE_ENV !== 'production' && !process.env.VERCEL) {
     console.log('');
     console.log('📚 Available Catalogs:');
     console.log('   • Newly Released Movies & Series (TMDB)');
-    console.log('   • Netflix Sweden Top 10 (public)');
+    console.log('   • Netflix Top 10 per country (public)');
     console.log('   • Your Personal Recommendations (requires auth)');
     console.log('');
     console.log('Press Ctrl+C to stop the server');
@@ -0,0 +1,169 @@
+const fetch = require('node-fetch');
+const cheerio = require('cheerio');
+const { config } = require('../config');
+
+/**
+ * FlixPatrol Service
+ * Fetches streaming Top 10 rankings (Netflix, Disney+, Max, Prime Video, Apple TV+) per country
+ * Primary: FlixPatrol API (if FLIXPATROL_API_KEY is configured)
+ * Fallback: public Top 10 pages on flixpatrol.com
+ * Returns raw rankings ([{ rank, title }]); netflixService enriches them with TMDB data and rank badges
+ */
+
+/**
+ * Get the FlixPatrol slug of a streaming service
+ * @param {string} service - Service slug ('netflix' or a key of config.flixpatrol.services)
+ * @returns {string|null} FlixPatrol slug or null if unknown
+ */
+function getServiceSlug(service) {
+  if (service === 'netflix') {
+    return 'netflix';
+  }
+  return config.flixpatrol.services[service]?.slug || null;
+}
+
+/**
+ * Convert a Tudum country slug to FlixPatrol's (they match, except the worldwide list)
+ * @param {string} country - Tudum country slug
+ * @returns {string} FlixPatrol country slug
+ */
+function getCountrySlug(country) {
+  return country === 'global' ? 'world' : country;
+}
+
+/**
+ * Clean up a ranking: valid titles only, ordered by rank, top 10
+ * @param {Array} items - Array of { rank, title }
+ * @returns {Array} Cleaned array of { rank, title }
+ */
+function normalizeItems(items) {
+  return items
+    .filter(item => item.title && item.rank >= 1 && item.rank <= 10)
+    .sort((a, b) => a.rank - b.rank)
+    .slice(0, 10);
+}
+
+/**
+ * Fetch a Top 10 from the FlixPatrol API
+ * @param {string} serviceSlug - FlixPatrol service slug
+ * @param {string} countrySlug - FlixPatrol country slug
+ * @param {string} type - Content type (movie/series)
+ * @returns {Promise<Array>} Array of { rank, title }
+ */
+async function fetchFromApi(serviceSlug, countrySlug, type) {
+  const category = type === 'movie' ? 'movie' : 'tv-show';
+  const url = `${config.flixpatrol.apiUrl}/v2/top10s?service=${serviceSlug}&country=${countrySlug}&type=${category}`;
+  console.log(`📡 FlixPatrol API URL: ${url}`);
+
+  const response = await fetch(url, {
+    headers: {
+      // The API key is sent as the Basic auth username
+      'Authorization': `Basic ${Buffer.from(`${config.flixpatrol.apiKey}:`).toString('base64')}`,
+      'Accept': 'application/json'
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`FlixPatrol API error: ${response.status}`);
+  }
+
+  const data = await response.json();
+  const entries = Array.isArray(data) ? data : data.data || [];
+
+  return normalizeItems(entries.map(entry => {
+    const item = entry.data || entry;
+    return {
+      rank: parseInt(item.ranking || item.rank, 10),
+      title: (item.title || item.movie?.data?.title || item.movie?.title || '').trim()
+    };
+  }));
+}
+
+/**
+ * Scrape a Top 10 from FlixPatrol's public website
+ * Each service/country page has one ranking per category, under a "TOP 10 Movies" or "TOP 10 TV Shows" heading
+ * @param {string} serviceSlug - FlixPatrol service slug
+ * @param {string} countrySlug - FlixPatrol country slug
+ * @param {string} type - Content type (movie/series)
+ * @returns {Promise<Array>} Array of { rank, title }
+ */
+async function scrapeTop10Page(serviceSlug, countrySlug, type) {
+  const url = `${config.flixpatrol.webUrl}/top10/${serviceSlug}/${countrySlug}/`;
+  console.log(`📡 FlixPatrol URL: ${url}`);
+
+  const response = await fetch(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.9',
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`FlixPatrol page error: ${response.status}`);
+  }
+
+  const $ = cheerio.load(await response.text());
+  const headingRegex = type === 'movie' ? /top 10 movies/i : /top 10 tv shows/i;
+  const $heading = $('h2, h3').filter((index, element) => headingRegex.test($(element).text())).first();
+
+  if (!$heading.length) {
+    throw new Error('FlixPatrol page has no ranking for this category');
+  }
+
+  // The table sits in the heading's section
+  const $table = $heading.nextAll('table').first().length
+    ? $heading.nextAll('table').first()
+    : $heading.parent().find('table').first();
+
+  const items = [];
+  $table.find('tr').each((index, element) => {
+    const $row = $(element);
+    const rank = parseInt($row.find('td').first().text().trim(), 10);
+    const title = $row.find('a').first().text().trim();
+    items.push({ rank, title });
+  });
+
+  return normalizeItems(items);
+}
+
+/**
+ * Fetch a streaming service's Top 10 for a country, trying the API first and the website next
+ * @param {string} service - Service slug ('netflix' or a key of config.flixpatrol.services)
+ * @param {string} country - Tudum country slug
+ * @param {string} type - Content type (movie/series)
+ * @returns {Promise<Array>} Array of { rank, title }
+ * @throws {Error} If no source returned a ranking
+ */
+async function getTop10Items(service, country, type) {
+  const serviceSlug = getServiceSlug(service);
+  if (!serviceSlug) {
+    throw new Error(`Unknown streaming service: ${service}`);
+  }
+
+  const countrySlug = getCountrySlug(country);
+  const sources = [
+    { name: 'FlixPatrol API', fetch: fetchFromApi, enabled: Boolean(config.flixpatrol.apiKey) },
+    { name: 'flixpatrol.com', fetch: scrapeTop10Page, enabled: true }
+  ];
+
+  for (const source of sources.filter(s => s.enabled)) {
+    try {
+      console.log(`🔍 Fetching ${service} Top 10 ${type} (${country}) from ${source.name}...`);
+      const items = await source.fetch(serviceSlug, countrySlug, type);
+      if (items.length > 0) {
+        console.log(`✅ ${source.name} returned ${items.length} ${service} Top 10 ${type} items for ${country}`);
+        return items;
+      }
+      console.warn(`⚠️  ${source.name} returned no ${service} Top 10 ${type} items for ${country}`);
+    } catch (error) {
+      console.error(`❌ ${source.name} failed for ${service} Top 10 ${type} (${country}):`, error.message);
+    }
+  }
+
+  throw new Error(`No FlixPatrol source returned a ${service} Top 10 for ${country}`);
+}
+
+module.exports = {
+  getTop10Items
+};
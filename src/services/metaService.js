@@ -0,0 +1,144 @@
+const tmdbService = require('./tmdbService');
+const traktService = require('./traktService');
+const netflixService = require('./netflixService');
+
+/**
+ * Meta Service
+ * Resolves the add-on's own IDs (trakt:, tmdb:, netflix:, top10:) into full Stremio metas
+ * so detail pages open for items that have no IMDB ID
+ */
+
+// ID prefixes handled by the meta resource (IMDB IDs are left to Cinemeta)
+const ID_PREFIXES = ['trakt:', 'tmdb:', 'netflix:', 'top10:'];
+
+/**
+ * Extract the title from a Top 10 fallback ID
+ * e.g. "netflix:se:3:Title", "netflix:se:fallback:3:Title" or "top10:max:sweden:3:Title"
+ * @param {string} id - Netflix or streaming Top 10 meta ID
+ * @returns {string|null} Decoded title or null if the ID is malformed
+ */
+function parseNetflixTitle(id) {
+  const match = id.match(/^(?:netflix|top10:[a-z-]+):[a-z-]+:(?:fallback:)?\d+:(.+)$/i);
+  if (!match) {
+    return null;
+  }
+
+  try {
+    return decodeURIComponent(match[1]);
+  } catch (error) {
+    return match[1];
+  }
+}
+
+/**
+ * Point a series meta's default video at the user's next episode (from Trakt progress)
+ * @param {object} meta - Stremio series meta with videos
+ * @param {string} traktId - Trakt show ID
+ * @param {string} sessionId - User session ID
+ * @returns {Promise<object>} Meta, with behaviorHints.defaultVideoId set when a next episode exists
+ */
+async function withNextEpisode(meta, traktId, sessionId) {
+  const nextEpisode = await traktService.getNextEpisode(sessionId, traktId);
+  if (!nextEpisode) {
+    return meta;
+  }
+
+  const video = (meta.videos || []).find(v => v.season === nextEpisode.season && v.episode === nextEpisode.number);
+  if (!video) {
+    return meta;
+  }
+
+  return {
+    ...meta,
+    behaviorHints: { ...meta.behaviorHints, defaultVideoId: video.id }
+  };
+}
+
+/**
+ * Resolve a trakt:<id> meta via Trakt, enriched with TMDB details when possible
+ * @param {string} id - Meta ID
+ * @param {string} type - Content type (movie/series)
+ * @param {string} [sessionId] - User session ID (series default to the next episode to watch)
+ * @returns {Promise<object|null>} Stremio meta or null
+ */
+async function getTraktMeta(id, type, sessionId = null) {
+  const traktId = id.replace('trakt:', '');
+  const item = await traktService.getTraktItem(traktId, type);
+  if (!item) {
+    return null;
+  }
+
+  if (item.ids?.tmdb) {
+    const meta = await tmdbService.getMetaDetails(item.ids.tmdb, type, id);
+    if (meta) {
+      return type === 'series' && sessionId ? withNextEpisode(meta, traktId, sessionId) : meta;
+    }
+  }
+
+  // No TMDB match, fall back to the basic Trakt data
+  const meta = await traktService.mapTraktToMeta(item, type);
+  return {
+    ...meta,
+    id,
+    runtime: item.runtime ? `${item.runtime} min` : undefined,
+    trailers: item.trailer ? [{ source: item.trailer, type: 'Trailer' }] : undefined
+  };
+}
+
+/**
+ * Resolve a netflix:<country>:<rank>:<title> (or top10:<service>:...) meta by searching TMDB for the title
+ * @param {string} id - Meta ID
+ * @param {string} type - Content type (movie/series)
+ * @returns {Promise<object|null>} Stremio meta or null
+ */
+async function getNetflixMeta(id, type) {
+  const title = parseNetflixTitle(id);
+  if (!title) {
+    return null;
+  }
+
+  const tmdbData = await netflixService.searchTMDB(title, type);
+  if (tmdbData) {
+    const meta = await tmdbService.getMetaDetails(tmdbData.id, type, id);
+    if (meta) {
+      return meta;
+    }
+  }
+
+  return {
+    id,
+    type,
+    name: title,
+    description: 'No further details available for this title.',
+    genres: [id.startsWith('top10:') ? 'Top 10' : 'Netflix Top 10']
+  };
+}
+
+/**
+ * Get a full Stremio meta for one of the add-on's own IDs
+ * @param {string} type - Content type (movie/series)
+ * @param {string} id - Meta ID
+ * @param {string} [sessionId] - User session ID (optional, personalizes series metas)
+ * @returns {Promise<object|null>} Stremio meta or null if it can't be resolved
+ */
+async function getMeta(type, id, sessionId = null) {
+  if (id.startsWith('tmdb:')) {
+    return tmdbService.getMetaDetails(id.replace('tmdb:', ''), type, id);
+  }
+
+  if (id.startsWith('trakt:')) {
+    return getTraktMeta(id, type, sessionId);
+  }
+
+  if (id.startsWith('netflix:') || id.startsWith('top10:')) {
+    return getNetflixMeta(id, type);
+  }
+
+  console.warn(`⚠️  Unsupported meta ID: ${id}`);
+  return null;
+}
+
+module.exports = {
+  ID_PREFIXES,
+  getMeta
+};
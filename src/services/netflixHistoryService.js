@@ -0,0 +1,172 @@
+const cache = require('../utils/cache');
+
+/**
+ * Netflix History Service
+ * Keeps a dated weekly snapshot of every Netflix Top 10 (per country and type) so rankings can be
+ * compared across weeks: rank movement for the poster badges, "New this week" and "Biggest climbers"
+ * catalogs, and a per-title history
+ */
+
+const HISTORY_TTL = 365 * 24 * 60 * 60 * 1000; // Snapshots are kept for a year
+const MAX_WEEKS = 52;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the chart week the current Tudum Top 10 covers
+ * Tudum publishes each Monday–Sunday week's Top 10 on the following Tuesday
+ * @param {Date} [date] - Date of the scrape (default: now)
+ * @returns {string} Monday the chart week starts on (YYYY-MM-DD, UTC)
+ */
+function getChartWeek(date = new Date()) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  // Most recent Sunday at least two days ago (Tuesday → the Sunday before, Monday → the Sunday a week before)
+  const daysSinceSunday = day.getUTCDay();
+  const sunday = new Date(day.getTime() - (daysSinceSunday >= 2 ? daysSinceSunday : daysSinceSunday + 7) * DAY);
+  return new Date(sunday.getTime() - 6 * DAY).toISOString().substring(0, 10);
+}
+
+/**
+ * Cache key prefix of a country's Top 10 history
+ * @param {string} country - Tudum country slug
+ * @param {string} type - Content type (movie/series)
+ * @returns {string} Key prefix
+ */
+function getHistoryKey(country, type) {
+  return `netflix:history:${country}:${type === 'movie' ? 'movies' : 'series'}`;
+}
+
+/**
+ * Get the weeks with a stored snapshot, oldest first
+ * @param {string} country - Tudum country slug
+ * @param {string} type - Content type (movie/series)
+ * @returns {Promise<Array<string>>} Chart weeks (YYYY-MM-DD)
+ */
+async function getWeeks(country, type) {
+  return (await cache.get(`${getHistoryKey(country, type)}:weeks`)) || [];
+}
+
+/**
+ * Get the snapshot of one chart week
+ * @param {string} country - Tudum country slug
+ * @param {string} type - Content type (movie/series)
+ * @param {string} week - Chart week (YYYY-MM-DD)
+ * @returns {Promise<object|null>} { week, scrapedAt, ranking: [{ rank, id, name }] } or null
+ */
+async function getSnapshot(country, type, week) {
+  return cache.get(`${getHistoryKey(country, type)}:${week}`);
+}
+
+/**
+ * Store a Top 10 as a chart week's snapshot (later scrapes of the same week overwrite it)
+ * @param {string} country - Tudum country slug
+ * @param {string} type - Content type (movie/series)
+ * @param {Array} ranking - Array of { rank, id, name }
+ * @param {string} [week] - Chart week the ranking covers (default: the current one)
+ * @returns {Promise<string>} Chart week the snapshot was stored under
+ */
+async function saveSnapshot(country, type, ranking, week = getChartWeek()) {
+  const key = getHistoryKey(country, type);
+
+  await cache.set(`${key}:${week}`, { week, scrapedAt: new Date().toISOString(), ranking }, HISTORY_TTL);
+
+  const weeks = await getWeeks(country, type);
+  if (!weeks.includes(week)) {
+    await cache.set(`${key}:weeks`, [...weeks, week].sort().slice(-MAX_WEEKS), HISTORY_TTL);
+  }
+
+  console.log(`💾 Saved Netflix Top 10 ${type} snapshot for ${country}, week of ${week}`);
+  return week;
+}
+
+/**
+ * Get the ranks of the latest snapshot before a chart week
+ * @param {string} country - Tudum country slug
+ * @param {string} type - Content type (movie/series)
+ * @param {string} [week] - Chart week (default: the current one)
+ * @returns {Promise<Map|null>} Map of id → rank, or null if there's no earlier snapshot
+ */
+async function getPreviousRanks(country, type, week = getChartWeek()) {
+  const previousWeek = (await getWeeks(country, type)).filter(w => w < week).pop();
+  if (!previousWeek) {
+    return null;
+  }
+
+  const snapshot = await getSnapshot(country, type, previousWeek);
+  if (!snapshot) {
+    return null;
+  }
+  return new Map(snapshot.ranking.map(entry => [entry.id, entry.rank]));
+}
+
+/**
+ * Compare a title's rank with its previous week's rank
+ * @param {number} rank - Current rank
+ * @param {number} [previousRank] - Rank the week before (undefined if it wasn't in the Top 10)
+ * @returns {string} Movement: 'up', 'down', 'same' or 'new'
+ */
+function getMovement(rank, previousRank) {
+  if (!previousRank) {
+    return 'new';
+  }
+  if (rank < previousRank) {
+    return 'up';
+  }
+  return rank > previousRank ? 'down' : 'same';
+}
+
+/**
+ * Get the rank movements of the latest snapshot compared to the week before
+ * @param {string} country - Tudum country slug
+ * @param {string} type - Content type (movie/series)
+ * @returns {Promise<Array|null>} Array of { rank, id, name, previousRank, movement }, or null without two weeks of history
+ */
+async function getLatestMovements(country, type) {
+  const weeks = await getWeeks(country, type);
+  const latestWeek = weeks[weeks.length - 1];
+  if (!latestWeek) {
+    return null;
+  }
+
+  const [snapshot, previousRanks] = await Promise.all([
+    getSnapshot(country, type, latestWeek),
+    getPreviousRanks(country, type, latestWeek)
+  ]);
+  if (!snapshot || !previousRanks) {
+    return null;
+  }
+
+  return snapshot.ranking.map(entry => ({
+    ...entry,
+    previousRank: previousRanks.get(entry.id) || null,
+    movement: getMovement(entry.rank, previousRanks.get(entry.id))
+  }));
+}
+
+/**
+ * Get a title's Top 10 history in a country
+ * @param {string} country - Tudum country slug
+ * @param {string} type - Content type (movie/series)
+ * @param {string} id - Meta ID (IMDB ID, tmdb: or netflix: ID)
+ * @returns {Promise<Array>} Array of { week, rank, name }, oldest first (only weeks the title charted)
+ */
+async function getTitleHistory(country, type, id) {
+  const weeks = await getWeeks(country, type);
+  const snapshots = await Promise.all(weeks.map(week => getSnapshot(country, type, week)));
+
+  return snapshots
+    .filter(Boolean)
+    .map(snapshot => {
+      const entry = snapshot.ranking.find(e => e.id === id);
+      return entry ? { week: snapshot.week, rank: entry.rank, name: entry.name } : null;
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  getChartWeek,
+  saveSnapshot,
+  getPreviousRanks,
+  getMovement,
+  getLatestMovements,
+  getTitleHistory
+};
@@ -2,6 +2,13 @@ const fetch = require('node-fetch');
 const cheerio = require('cheerio');
 const { config } = require('../config');
 const cache = require('../utils/cache');
+const flixpatrolService = require('./flixpatrolService');
+const netflixHistoryService = require('./netflixHistoryService');
+const netflixTsvService = require('./netflixTsvService');
+const scrapeHealthService = require('./scrapeHealthService');
+
+const LAST_GOOD_TTL = 365 * 24 * 60 * 60 * 1000; // Served whenever every source fails, however old
+const LAST_GOOD_RETRY_TTL = 60 * 60 * 1000; // How long a last-known-good Top 10 is served before retrying the sources
 
 /**
  * Get server base URL for poster endpoint
@@ -143,254 +150,484 @@ async function searchTMDB(title, type) {
   return null;
 }
 
+/**
+ * Strip Netflix season suffixes from a show title
+ * e.g. "Squid Game: Season 2" → "Squid Game", "Adolescence: Limited Series" → "Adolescence"
+ * @param {string} title - Title as listed in the Top 10
+ * @returns {string} Show title
+ */
+function cleanSeriesTitle(title) {
+  return title
+    .replace(/(:\s*(Season|Series|Part|Volume|Vol\.?|Chapter|Book)\s+\w+)+$/i, '')
+    .replace(/:\s*(Limited Series|Miniseries)$/i, '')
+    .trim();
+}
+
 /**
  * Netflix Service
- * Fetches Netflix Sweden Top 10 data
- * Primary: Netflix Official Top 10 Website (free!)
- * Fallback: FlixPatrol API (if configured)
+ * Fetches Netflix Top 10 data per country (Sweden by default, or the global list)
+ * Primary: Netflix's weekly Top 10 TSV datasets (see netflixTsvService)
+ * Fallback: Netflix Official Top 10 Website (free!), then FlixPatrol (API if configured, public website otherwise)
+ * Other streaming services' Top 10s come from FlixPatrol and share the same TMDB enrichment and rank badges
  */
 
 /**
- * Fetch Netflix Sweden Top 10 movies
+ * Check whether a country slug is supported
+ * @param {string} country - Tudum country slug (e.g. 'sweden', 'global')
+ * @returns {boolean} True if supported
+ */
+function isSupportedCountry(country) {
+  return Object.prototype.hasOwnProperty.call(config.netflix.countries, country);
+}
+
+/**
+ * Get the display name of a country
+ * @param {string} country - Tudum country slug
+ * @returns {string} Country name (e.g. 'Sweden', 'Global')
+ */
+function getCountryName(country) {
+  return config.netflix.countries[country] || country;
+}
+
+/**
+ * Build the Tudum Top 10 page URL for a country and type
+ * Films are on the country page, shows on its /tv sub-page; the global list has no country segment
+ * @param {string} country - Tudum country slug
+ * @param {string} type - Content type (movie/series)
+ * @returns {string} Tudum URL
+ */
+function getTudumUrl(country, type) {
+  const base = country === 'global'
+    ? 'https://www.netflix.com/tudum/top10'
+    : `https://www.netflix.com/tudum/top10/${country}`;
+  return type === 'movie' ? base : `${base}/tv`;
+}
+
+/**
+ * Fetch Netflix Top 10 movies for a country
+ * @param {string} [country] - Tudum country slug (defaults to config.netflix.defaultCountry)
  * @returns {Promise<Array>} Array of movie metadata
  */
-async function getNetflixTop10Movies() {
-  const cacheKey = 'netflix:sweden:movies:top10';
+async function getNetflixTop10Movies(country = config.netflix.defaultCountry) {
+  return getNetflixTop10(country, 'movie');
+}
+
+/**
+ * Fetch Netflix Top 10 series for a country
+ * @param {string} [country] - Tudum country slug (defaults to config.netflix.defaultCountry)
+ * @returns {Promise<Array>} Array of series metadata
+ */
+async function getNetflixTop10Series(country = config.netflix.defaultCountry) {
+  return getNetflixTop10(country, 'series');
+}
+
+/**
+ * Fetch Netflix Top 10 for a country and type (cached per country for 24 hours)
+ * Sources in order: Netflix's TSV datasets, the Tudum page, FlixPatrol. If all fail, the last-known-good
+ * Top 10 is served (with its age in the descriptions) and the sources are retried after an hour
+ * Every fresh ranking is also stored as this week's history snapshot; each refresh is recorded in the scrape health
+ * @param {string} country - Tudum country slug
+ * @param {string} type - Content type (movie/series)
+ * @returns {Promise<Array>} Array of metadata
+ */
+async function getNetflixTop10(country, type) {
+  const category = type === 'movie' ? 'movies' : 'series';
+  const cacheKey = `netflix:${country}:${category}:top10`;
   const cached = await cache.get(cacheKey);
   
   if (cached) {
-    console.log('💾 Serving Netflix Top 10 movies from cache (Redis)');
+    console.log(`💾 Serving Netflix Top 10 ${category} (${country}) from cache (Redis)`);
     return cached;
   }
 
-  try {
-    console.log('🔍 Fetching FRESH Netflix Top 10 movies from web...');
-    const metas = await scrapeNetflixTop10('movie');
-    console.log(`✅ Netflix returned ${metas.length} Top 10 movies (cached for 24 hours)`);
-    await cache.set(cacheKey, metas, config.cache.netflixTTL);
-    return metas;
-  } catch (error) {
-    console.error('Error fetching Netflix Top 10 movies:', error.message);
-    return getFallbackData('movie');
+  // Outcome per source, for the scrape health
+  const attempts = {};
+  // Chart week of the ranking: the TSV datasets carry it, scraped pages show the current week
+  let week;
+  let items = null;
+  let source = null;
+
+  const tsv = await netflixTsvService.getTop10(country, type);
+  if (tsv) {
+    ({ week, items } = tsv);
+    source = 'tsv';
+    attempts.tsv = { ok: true };
+  } else {
+    attempts.tsv = { ok: false, error: 'No TSV ranking available' };
+  }
+
+  if (!items) {
+    try {
+      console.log(`🔍 Fetching FRESH Netflix Top 10 ${category} (${country}) from web...`);
+      items = await scrapeNetflixTop10(type, country);
+      attempts.tudum = items ? { ok: true } : { ok: false, error: 'Could not parse Top 10 from page' };
+      source = items ? 'tudum' : null;
+    } catch (error) {
+      console.error(`Error fetching Netflix Top 10 ${category} (${country}):`, error.message);
+      attempts.tudum = { ok: false, error: error.message };
+    }
+  }
+
+  if (!items) {
+    try {
+      console.log(`🔄 Falling back to FlixPatrol for Netflix Top 10 ${category} (${country})...`);
+      items = await flixpatrolService.getTop10Items('netflix', country, type);
+      source = 'flixpatrol';
+      attempts.flixpatrol = { ok: true };
+    } catch (error) {
+      console.error(`Error fetching Netflix Top 10 ${category} (${country}) from FlixPatrol:`, error.message);
+      attempts.flixpatrol = { ok: false, error: error.message };
+    }
+  }
+
+  await scrapeHealthService.recordRefresh(`netflix:${country}:${category}`, attempts, source);
+
+  if (!items) {
+    const lastGood = await getLastKnownGood(country, type);
+    // Try the sources again in an hour rather than on every request
+    await cache.set(cacheKey, lastGood, LAST_GOOD_RETRY_TTL);
+    return lastGood;
   }
+
+  const entries = await resolveTop10Items(items, type, 'netflix', country);
+
+  // Badges show how each title moved since last week's snapshot (none until there is one)
+  const previousRanks = await netflixHistoryService.getPreviousRanks(country, type, week);
+  const metas = entries.map(entry => buildTop10Meta(
+    entry, type, 'netflix', country,
+    previousRanks ? netflixHistoryService.getMovement(entry.rank, previousRanks.get(entry.id)) : null
+  ));
+  await netflixHistoryService.saveSnapshot(country, type, entries.map(({ rank, id }, index) => ({ rank, id, name: metas[index].name })), week);
+  await cache.set(`netflix:lastgood:${country}:${category}`, { savedAt: new Date().toISOString(), source, metas }, LAST_GOOD_TTL);
+
+  console.log(`✅ Netflix returned ${metas.length} Top 10 ${category} for ${getCountryName(country)} (cached for 24 hours)`);
+  await cache.set(cacheKey, metas, config.cache.netflixTTL);
+  return metas;
 }
 
 /**
- * Fetch Netflix Sweden Top 10 series
- * @returns {Promise<Array>} Array of series metadata
+ * Describe how long ago a date was, for the last-known-good notice
+ * @param {string} date - ISO date
+ * @returns {string} e.g. "3 days ago", "5 hours ago"
  */
-async function getNetflixTop10Series() {
-  const cacheKey = 'netflix:sweden:series:top10';
+function formatAge(date) {
+  const hours = Math.floor((Date.now() - new Date(date).getTime()) / (60 * 60 * 1000));
+  if (hours < 1) {
+    return 'less than an hour ago';
+  }
+  if (hours < 48) {
+    return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  }
+  return `${Math.floor(hours / 24)} days ago`;
+}
+
+/**
+ * Get the last successful Netflix Top 10 for a country, its age noted in each description
+ * @param {string} country - Tudum country slug
+ * @param {string} type - Content type (movie/series)
+ * @returns {Promise<Array>} Array of metadata (empty if there never was a successful refresh)
+ */
+async function getLastKnownGood(country, type) {
+  const category = type === 'movie' ? 'movies' : 'series';
+  const lastGood = await cache.get(`netflix:lastgood:${country}:${category}`);
+
+  if (!lastGood) {
+    console.warn(`⚠️  No last-known-good Netflix Top 10 ${category} for ${getCountryName(country)}, returning empty`);
+    return [];
+  }
+
+  const age = formatAge(lastGood.savedAt);
+  console.warn(`⚠️  Serving last-known-good Netflix Top 10 ${category} for ${getCountryName(country)} (updated ${age})`);
+  return lastGood.metas.map(meta => ({
+    ...meta,
+    description: `⚠️ Last updated ${age} (the live Netflix Top 10 is currently unavailable).${meta.description ? `\n\n${meta.description}` : ''}`
+  }));
+}
+
+/**
+ * Fetch the Netflix Top 10 titles that are new this week, or that climbed the most since last week
+ * Based on the last two weekly snapshots; empty until there are two weeks of history
+ * @param {string} country - Tudum country slug
+ * @param {string} type - Content type (movie/series)
+ * @param {string} view - 'new' (new entries, by rank) or 'climbers' (moved up, biggest jump first)
+ * @returns {Promise<Array>} Array of metadata
+ */
+async function getNetflixMovers(country, type, view) {
+  // Makes sure this week's snapshot exists
+  const metas = await getNetflixTop10(country, type);
+  const movements = await netflixHistoryService.getLatestMovements(country, type);
+
+  if (!movements) {
+    console.log(`ℹ️  Not enough Netflix Top 10 history for ${country} ${type} yet, returning empty catalog`);
+    return [];
+  }
+
+  const movers = view === 'new'
+    ? movements.filter(entry => entry.movement === 'new')
+    : movements
+      .filter(entry => entry.movement === 'up')
+      .sort((a, b) => (b.previousRank - b.rank) - (a.previousRank - a.rank));
+
+  const metasById = new Map(metas.map(meta => [meta.id, meta]));
+  return movers.map(entry => metasById.get(entry.id)).filter(Boolean);
+}
+
+/**
+ * Get the display name of a streaming service
+ * @param {string} service - Service slug ('netflix' or a key of config.flixpatrol.services)
+ * @returns {string} Service name (e.g. 'Netflix', 'Disney+')
+ */
+function getServiceName(service) {
+  if (service === 'netflix') {
+    return 'Netflix';
+  }
+  return config.flixpatrol.services[service]?.name || service;
+}
+
+/**
+ * Fetch another streaming service's Top 10 (Disney+, Max, Prime Video, Apple TV+) from FlixPatrol
+ * Cached per service and country for 24 hours, like Netflix; an empty catalog (uncached) if FlixPatrol fails
+ * @param {string} service - Key of config.flixpatrol.services
+ * @param {string} country - Tudum country slug
+ * @param {string} type - Content type (movie/series)
+ * @returns {Promise<Array>} Array of metadata
+ */
+async function getStreamingTop10(service, country, type) {
+  const category = type === 'movie' ? 'movies' : 'series';
+  const cacheKey = `top10:${service}:${country}:${category}`;
   const cached = await cache.get(cacheKey);
-  
+
   if (cached) {
-    console.log('💾 Serving Netflix Top 10 series from cache (Redis)');
+    console.log(`💾 Serving ${getServiceName(service)} Top 10 ${category} (${country}) from cache (Redis)`);
     return cached;
   }
 
   try {
-    console.log('🔍 Fetching FRESH Netflix Top 10 series from web...');
-    const metas = await scrapeNetflixTop10('series');
-    console.log(`✅ Netflix returned ${metas.length} Top 10 series (cached for 24 hours)`);
+    const items = await flixpatrolService.getTop10Items(service, country, type);
+    const entries = await resolveTop10Items(items, type, service, country);
+    const metas = entries.map(entry => buildTop10Meta(entry, type, service, country));
+    console.log(`✅ ${getServiceName(service)} returned ${metas.length} Top 10 ${category} for ${getCountryName(country)} (cached for 24 hours)`);
     await cache.set(cacheKey, metas, config.cache.netflixTTL);
     return metas;
   } catch (error) {
-    console.error('Error fetching Netflix Top 10 series:', error.message);
-    return getFallbackData('series');
+    console.error(`❌ Error fetching ${getServiceName(service)} Top 10 ${category} (${country}):`, error.message);
+    return [];
   }
 }
 
 /**
  * Scrape Netflix's official Top 10 website (Tudum)
- * Free and official source: https://www.netflix.com/tudum/top10/sweden
+ * Free and official source: https://www.netflix.com/tudum/top10/<country>
+ * Fallback for when the TSV datasets are unavailable; titles are guessed from the page markup
  * @param {string} type - Content type (movie/series)
- * @returns {Promise<Array>} Array of metadata
+ * @param {string} country - Tudum country slug
+ * @returns {Promise<Array|null>} Array of { rank, title, weeks }, or null if the page couldn't be parsed
  */
-async function scrapeNetflixTop10(type) {
-  try {
-    const category = type === 'movie' ? 'movies' : 'shows';
-    const url = `https://www.netflix.com/tudum/top10/sweden`;
-    
-    console.log(`🔍 Scraping Netflix Top 10 Sweden ${category}...`);
-    console.log(`📡 Netflix URL: ${url}`);
-    
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.9',
-      }
-    });
-    
-    if (!response.ok) {
-      console.error(`❌ Netflix page error: ${response.status} ${response.statusText}`);
-      throw new Error(`Netflix Top 10 page error: ${response.status}`);
+async function scrapeNetflixTop10(type, country) {
+  const countryName = getCountryName(country);
+  const category = type === 'movie' ? 'movies' : 'shows';
+  const url = getTudumUrl(country, type);
+  
+  console.log(`🔍 Scraping Netflix Top 10 ${countryName} ${category}...`);
+  console.log(`📡 Netflix URL: ${url}`);
+  
+  const response = await fetch(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.9',
     }
+  });
+  
+  if (!response.ok) {
+    console.error(`❌ Netflix page error: ${response.status} ${response.statusText}`);
+    throw new Error(`Netflix Top 10 page error: ${response.status}`);
+  }
+  
+  const html = await response.text();
+  const $ = cheerio.load(html);
+  
+  console.log(`✅ Netflix page loaded successfully`);
+  
+  // Extract top 10 items from the page
+  // Netflix Tudum uses a table structure with rank, image, title, and weeks
+  const top10Items = [];
+  
+  // Only read the first table: it holds the ranking for the requested category,
+  // later tables (if any) list other categories and would mix movies and shows
+  const $table = $('table').first();
+  
+  // Method 1: Extract using image alt text (most reliable)
+  $table.find('tbody tr, tr').each((index, element) => {
+    const $row = $(element);
     
-    const html = await response.text();
-    const $ = cheerio.load(html);
+    // Skip if this is a header row
+    if ($row.find('th').length > 0) return;
     
-    console.log(`✅ Netflix page loaded successfully`);
+    // Try to find the image with alt text (title)
+    const $img = $row.find('img').first();
+    let title = '';
     
-    // Extract top 10 items from the page
-    // Netflix Tudum uses a table structure with rank, image, title, and weeks
-    const top10Items = [];
+    if ($img.length) {
+      title = $img.attr('alt') || $img.attr('title') || '';
+    }
     
-    // Method 1: Extract using image alt text (most reliable)
-    $('table tbody tr, table tr').each((index, element) => {
-      const $row = $(element);
-      
-      // Skip if this is a header row
-      if ($row.find('th').length > 0) return;
-      
-      // Try to find the image with alt text (title)
-      const $img = $row.find('img').first();
-      let title = '';
-      
-      if ($img.length) {
-        title = $img.attr('alt') || $img.attr('title') || '';
-      }
-      
-      // If no image, try to extract text from cells
-      if (!title) {
-        const $cells = $row.find('td');
-        $cells.each((i, cell) => {
-          const text = $(cell).text().trim();
-          // Look for text that's not just numbers and is long enough to be a title
-          if (text && text.length > 3 && !text.match(/^\d+$/) && !title) {
-            // Skip if it looks like a week count (e.g., "1" or "22")
-            if (!text.match(/^\d{1,2}$/)) {
-              title = text;
-            }
+    // If no image, try to extract text from cells
+    if (!title) {
+      const $cells = $row.find('td');
+      $cells.each((i, cell) => {
+        const text = $(cell).text().trim();
+        // Look for text that's not just numbers and is long enough to be a title
+        if (text && text.length > 3 && !text.match(/^\d+$/) && !title) {
+          // Skip if it looks like a week count (e.g., "1" or "22")
+          if (!text.match(/^\d{1,2}$/)) {
+            title = text;
           }
-        });
-      }
-      
-      // Clean up title - remove leading numbers like "01", "02", "1.", "2." etc.
-      title = title.replace(/^\d{1,2}\.?\s*/, '').trim();
-      
-      // Get rank from first cell or use index
-      const rankText = $row.find('td').first().text().trim();
-      const rank = parseInt(rankText) || (top10Items.length + 1);
-      
-      // Get weeks from last cell
-      const weeksText = $row.find('td').last().text().trim();
-      const weeks = weeksText.match(/^\d+$/) ? weeksText : 'N/A';
-      
-      if (title && title.length > 1) {
-        console.log(`   📌 #${rank}: ${title} (${weeks} weeks)`);
-        top10Items.push({
-          rank: rank,
-          title: title,
-          weeks: weeks
-        });
-      }
-    });
+        }
+      });
+    }
     
-    console.log(`🔍 Extracted ${top10Items.length} items total`);
+    // Clean up title - remove leading numbers like "01", "02", "1.", "2." etc.
+    title = title.replace(/^\d{1,2}\.?\s*/, '').trim();
     
-    if (top10Items.length === 0) {
-      console.warn('⚠️  Could not parse Netflix Top 10 data from page');
-      return getFallbackData(type);
-    }
+    // Get rank from first cell or use index
+    const rankText = $row.find('td').first().text().trim();
+    const rank = parseInt(rankText) || (top10Items.length + 1);
     
-    // Filter to max 10 items
-    const limitedItems = top10Items.slice(0, 10);
+    // Get weeks from last cell
+    const weeksText = $row.find('td').last().text().trim();
+    const weeks = weeksText.match(/^\d+$/) ? weeksText : 'N/A';
     
-    // For each item, try to get TMDB data for better metadata
-    console.log(`\n🔍 Enriching ${limitedItems.length} items with TMDB data...\n`);
+    if (title && title.length > 1) {
+      console.log(`   📌 #${rank}: ${title} (${weeks} weeks)`);
+      top10Items.push({
+        rank: rank,
+        title: title,
+        weeks: weeks
+      });
+    }
+  });
+  
+  console.log(`🔍 Extracted ${top10Items.length} items total`);
+  
+  if (top10Items.length === 0) {
+    console.warn('⚠️  Could not parse Netflix Top 10 data from page');
+    return null;
+  }
+  
+  // Filter to max 10 items
+  return top10Items.slice(0, 10);
+}
+
+/**
+ * Match a raw Top 10 ranking with TMDB
+ * Several seasons of one show can chart at once – only its best-ranked entry is kept
+ * @param {Array} items - Array of { rank, title, weeks? }
+ * @param {string} type - Content type (movie/series)
+ * @param {string} service - Service slug ('netflix' or a key of config.flixpatrol.services)
+ * @param {string} country - Tudum country slug
+ * @returns {Promise<Array>} Array of { rank, title, weeks, id, tmdbData }, tmdbData null if not found
+ */
+async function resolveTop10Items(items, type, service, country) {
+  // For each item, try to get TMDB data for better metadata
+  console.log(`\n🔍 Enriching ${items.length} items with TMDB data...\n`);
+  
+  const entries = await Promise.all(items.map(async (item) => {
+    console.log(`\n📌 Processing #${item.rank}: "${item.title}"`);
     
-    const metasPromises = limitedItems.map(async (item) => {
-      console.log(`\n📌 Processing #${item.rank}: "${item.title}"`);
-      
-      // Try to find TMDB ID by searching for the title
-      const tmdbData = await searchTMDB(item.title, type);
-      
-      if (tmdbData) {
-        // Use TMDB data if found
-        const itemId = tmdbData.imdb_id || `tmdb:${tmdbData.id}`;
-        const itemType = type === 'movie' ? 'movie' : 'series';
-        const baseUrl = getServerBaseUrl();
-        
-        const meta = {
-          id: itemId,
-          type: itemType,
-          name: tmdbData.title || tmdbData.name || item.title,
-          description: tmdbData.overview || `#${item.rank} on Netflix Sweden Top 10`,
-          // Use custom poster endpoint with Netflix rank badge
-          poster: `${baseUrl}/poster/${itemType}/${item.rank}/${encodeURIComponent(itemId)}.jpg`,
-          // Use medium backdrop size (w780) for good quality on 4K TVs while staying lightweight (~30-50KB)
-          background: tmdbData.backdrop_path 
-            ? `${config.tmdb.imageBaseUrl}/w780${tmdbData.backdrop_path}`
-            : undefined,
-          genres: tmdbData.genreNames || ['Netflix Top 10', 'Popular'],
-          releaseInfo: tmdbData.release_date ? tmdbData.release_date.substring(0, 4) : 
-                      tmdbData.first_air_date ? tmdbData.first_air_date.substring(0, 4) : '2024',
-          imdbRating: tmdbData.vote_average ? tmdbData.vote_average.toFixed(1) : undefined
-        };
-        
-        console.log(`   ✅ Enriched with full metadata + Netflix badge`);
-        return meta;
-      } else {
-        // Fallback to basic metadata
-        console.warn(`   ⚠️  Using fallback metadata (TMDB not found)`);
-        return {
-          id: `netflix:se:${item.rank}:${encodeURIComponent(item.title)}`,
-          type: type === 'movie' ? 'movie' : 'series',
-          name: item.title,
-          description: `#${item.rank} on Netflix Sweden Top 10 - ${item.weeks} weeks in top 10`,
-          genres: ['Netflix Top 10', 'Popular'],
-          releaseInfo: '2024'
-        };
-      }
-    });
+    // Shows are listed per season ("Squid Game: Season 2"), search TMDB for the show itself
+    const title = type === 'series' ? cleanSeriesTitle(item.title) : item.title;
     
-    const metas = await Promise.all(metasPromises);
-    console.log(`\n✅ Successfully enriched ${metas.filter(m => m.poster).length}/${metas.length} items with TMDB data\n`);
+    // Try to find TMDB ID by searching for the title
+    const tmdbData = await searchTMDB(title, type);
     
-    console.log(`✅ Returning ${metas.length} Netflix Sweden ${type}s with metadata`);
+    // Unmatched titles get an ID that is resolved again by TMDB search when opened (see metaService)
+    const idPrefix = service === 'netflix' ? 'netflix' : `top10:${service}`;
+    const id = tmdbData
+      ? tmdbData.imdb_id || `tmdb:${tmdbData.id}`
+      : `${idPrefix}:${country}:${item.rank}:${encodeURIComponent(title)}`;
     
-    return metas;
-  } catch (error) {
-    console.error('❌ Error scraping Netflix Top 10:', error.message);
-    console.error('Stack:', error.stack);
-    return getFallbackData(type);
-  }
+    return { rank: item.rank, title, weeks: item.weeks, id, tmdbData };
+  }));
+  
+  const seenIds = new Set();
+  const resolved = entries.filter(entry => {
+    if (seenIds.has(entry.id)) {
+      return false;
+    }
+    seenIds.add(entry.id);
+    return true;
+  });
+  console.log(`\n✅ Successfully enriched ${resolved.filter(e => e.tmdbData).length}/${resolved.length} items with TMDB data\n`);
+  
+  return resolved;
 }
 
 /**
- * Fallback data with sample titles
- * @param {string} type - Content type
- * @returns {Array} Sample metadata
+ * Build the Stremio meta of a Top 10 entry: TMDB metadata plus a rank-badge poster
+ * Shared by all streaming services, so Netflix and FlixPatrol rankings look the same
+ * @param {object} entry - Resolved entry from resolveTop10Items
+ * @param {string} type - Content type (movie/series)
+ * @param {string} service - Service slug ('netflix' or a key of config.flixpatrol.services)
+ * @param {string} country - Tudum country slug
+ * @param {string} [movement] - Rank movement since last week ('up', 'down', 'same', 'new'), shown on the badge
+ * @returns {object} Stremio meta
  */
-function getFallbackData(type) {
-  // Based on actual Netflix Sweden Top 10 as of Nov 2024
-  const movieTitles = [
-    'Frankenstein', 'A Merry Little Ex-Mas', 'In Your Dreams', 
-    'KPop Demon Hunters', 'Hanna', 'Being Eddie',
-    'Lilla spöket Laban spökar igen', 'A HOUSE OF DYNAMITE', 'Twisters'
-  ];
+function buildTop10Meta(entry, type, service, country, movement = null) {
+  const countryName = getCountryName(country);
+  const serviceName = getServiceName(service);
+  const itemType = type === 'movie' ? 'movie' : 'series';
+  const { rank, title, weeks, id, tmdbData } = entry;
   
-  const showTitles = [
-    'The Beast in Me', 'Squid Game', 'Outer Banks', 
-    'The Diplomat', 'The Crown', 'Wednesday'
-  ];
+  if (!tmdbData) {
+    // Fallback to basic metadata
+    console.warn(`   ⚠️  Using fallback metadata (TMDB not found): "${title}"`);
+    return {
+      id,
+      type: itemType,
+      name: title,
+      description: weeks
+        ? `#${rank} on ${serviceName} ${countryName} Top 10 - ${weeks} weeks in top 10`
+        : `#${rank} on ${serviceName} ${countryName} Top 10`,
+      genres: [`${serviceName} Top 10`, 'Popular']
+    };
+  }
   
-  const titles = type === 'movie' ? movieTitles : showTitles;
+  // Posters are badged and cached per service, country and movement
+  let posterQuery = `country=${country}`;
+  if (service !== 'netflix') {
+    posterQuery += `&service=${service}`;
+  }
+  if (movement && movement !== 'same') {
+    posterQuery += `&movement=${movement}`;
+  }
   
-  return titles.slice(0, 10).map((title, index) => ({
-    id: `netflix:se:fallback:${index + 1}:${encodeURIComponent(title)}`,
-    type: type === 'movie' ? 'movie' : 'series',
-    name: title,
-    description: `#${index + 1} on Netflix Sweden (Sample data - scraping unavailable)`,
-    poster: `https://via.placeholder.com/500x750/E50914/FFFFFF?text=Netflix+${index + 1}`,
-    genres: ['Netflix Top 10', 'Popular'],
-    releaseInfo: '2024'
-  }));
+  return {
+    id,
+    type: itemType,
+    name: tmdbData.title || tmdbData.name || title,
+    description: tmdbData.overview || `#${rank} on ${serviceName} ${countryName} Top 10`,
+    // Use custom poster endpoint with rank badge
+    poster: `${getServerBaseUrl()}/poster/${itemType}/${rank}/${encodeURIComponent(id)}.jpg?${posterQuery}`,
+    // Use medium backdrop size (w780) for good quality on 4K TVs while staying lightweight (~30-50KB)
+    background: tmdbData.backdrop_path 
+      ? `${config.tmdb.imageBaseUrl}/w780${tmdbData.backdrop_path}`
+      : undefined,
+    genres: tmdbData.genreNames || [`${serviceName} Top 10`, 'Popular'],
+    releaseInfo: tmdbData.release_date ? tmdbData.release_date.substring(0, 4) : 
+                tmdbData.first_air_date ? tmdbData.first_air_date.substring(0, 4) : undefined,
+    imdbRating: tmdbData.vote_average ? tmdbData.vote_average.toFixed(1) : undefined
+  };
 }
 
 module.exports = {
   getNetflixTop10Movies,
-  getNetflixTop10Series
+  getNetflixTop10Series,
+  getNetflixMovers,
+  getStreamingTop10,
+  getServiceName,
+  isSupportedCountry,
+  getCountryName,
+  searchTMDB
 };
 
@@ -0,0 +1,173 @@
+const fetch = require('node-fetch');
+const { config } = require('../config');
+const cache = require('../utils/cache');
+const { parseNetflixTop10TSV } = require('../utils/netflixTsvParser');
+
+/**
+ * Netflix TSV Service
+ * Ingests the weekly Top 10 datasets Netflix publishes as TSV files, the primary structured
+ * source for the Netflix Top 10 catalogs (the Tudum HTML scraper is the fallback)
+ * Datasets are downloaded from the configured URLs, or uploaded by an admin
+ */
+
+const RANKINGS_CACHE_KEY = 'netflix:tsv:rankings';
+const ATTEMPT_CACHE_KEY = 'netflix:tsv:attempt';
+const UPLOAD_TTL = 8 * 24 * 60 * 60 * 1000; // An uploaded weekly file stays in use until the next week's is out
+const RETRY_INTERVAL = 60 * 60 * 1000; // Don't re-download more than once an hour when the URLs fail
+const DAY = 24 * 60 * 60 * 1000;
+
+// Downloads in progress (several catalogs are requested at once on a cold cache)
+let downloadPromise = null;
+
+/**
+ * Get the Tudum country slug of a TSV country name
+ * @param {string} countryName - Country name as in the TSV ('Global' for the global dataset)
+ * @returns {string|null} Tudum country slug or null if not a configured country
+ */
+function getCountrySlug(countryName) {
+  const entry = Object.entries(config.netflix.countries).find(([, name]) => name === countryName);
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Convert a TSV week (the Sunday the week ends on) to a chart week (the Monday it starts on)
+ * @param {string} week - Week end date (YYYY-MM-DD)
+ * @returns {string} Week start date (YYYY-MM-DD)
+ */
+function toChartWeek(week) {
+  return new Date(new Date(`${week}T00:00:00Z`).getTime() - 6 * DAY).toISOString().substring(0, 10);
+}
+
+/**
+ * Parse a TSV dataset and store its latest rankings for the configured countries
+ * Merged with rankings already stored, so the countries and global datasets can be ingested separately
+ * @param {string} tsvText - Raw TSV text
+ * @param {string} source - Where the file came from ('url' or 'upload')
+ * @returns {Promise<object>} { dataset, countries: [slug], weeks: { [slug]: week } }
+ * @throws {Error} If the TSV can't be parsed or has weeks that haven't ended yet
+ */
+async function ingestTsv(tsvText, source) {
+  const { dataset, rankings } = parseNetflixTop10TSV(tsvText);
+
+  // A future week would never be replaced by the real rankings ("never replace a newer ranking" below)
+  const today = new Date().toISOString().substring(0, 10);
+  const futureWeeks = Object.values(rankings).map(ranking => ranking.week).filter(week => week > today);
+  if (futureWeeks.length > 0) {
+    throw new Error(`TSV has weeks in the future (${[...new Set(futureWeeks)].join(', ')})`);
+  }
+  const stored = (await cache.get(RANKINGS_CACHE_KEY)) || { countries: {} };
+  const weeks = {};
+
+  for (const [countryName, ranking] of Object.entries(rankings)) {
+    const country = getCountrySlug(countryName);
+    if (!country) continue;
+
+    const week = toChartWeek(ranking.week);
+    // Never replace a newer ranking with an older one (e.g. an outdated upload)
+    if (stored.countries[country] && stored.countries[country].week > week) continue;
+
+    stored.countries[country] = {
+      week,
+      source,
+      movie: ranking.movie.slice(0, 10),
+      series: ranking.series.slice(0, 10)
+    };
+    weeks[country] = week;
+  }
+
+  stored.ingestedAt = new Date().toISOString();
+  await cache.set(RANKINGS_CACHE_KEY, stored, source === 'upload' ? UPLOAD_TTL : config.cache.netflixTTL);
+
+  const countries = Object.keys(weeks);
+  console.log(`✅ Ingested Netflix Top 10 TSV (${dataset}, ${source}): ${countries.length} countries`);
+
+  // Top 10 catalogs built from older data should pick up the new rankings
+  for (const country of countries) {
+    await cache.clear(`netflix:${country}:movies:top10`);
+    await cache.clear(`netflix:${country}:series:top10`);
+  }
+
+  return { dataset, countries, weeks };
+}
+
+/**
+ * Download and ingest the configured TSV datasets (countries and global)
+ * @returns {Promise<Array>} Ingestion summaries of the datasets that succeeded
+ */
+async function ingestFromUrls() {
+  const urls = [config.netflix.tsv.countriesUrl, config.netflix.tsv.globalUrl].filter(Boolean);
+  const results = [];
+
+  for (const url of urls) {
+    try {
+      console.log(`📡 Netflix Top 10 TSV URL: ${url}`);
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`TSV download error: ${response.status}`);
+      }
+      results.push(await ingestTsv(await response.text(), 'url'));
+    } catch (error) {
+      console.error(`❌ Error ingesting Netflix Top 10 TSV from ${url}:`, error.message);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Get the stored rankings, downloading the datasets if none are stored
+ * Failed downloads are retried at most once per RETRY_INTERVAL
+ * @returns {Promise<object|null>} Stored rankings or null
+ */
+async function getRankings() {
+  const stored = await cache.get(RANKINGS_CACHE_KEY);
+  if (stored) {
+    return stored;
+  }
+
+  if (await cache.get(ATTEMPT_CACHE_KEY)) {
+    return null;
+  }
+
+  if (!downloadPromise) {
+    downloadPromise = (async () => {
+      await cache.set(ATTEMPT_CACHE_KEY, true, RETRY_INTERVAL);
+      await ingestFromUrls();
+    })().finally(() => {
+      downloadPromise = null;
+    });
+  }
+  await downloadPromise;
+
+  return cache.get(RANKINGS_CACHE_KEY);
+}
+
+/**
+ * Get a country's latest Netflix Top 10 from the TSV datasets
+ * @param {string} country - Tudum country slug
+ * @param {string} type - Content type (movie/series)
+ * @returns {Promise<object|null>} { week, items: [{ rank, title, season, weeks }] }, or null if not available
+ */
+async function getTop10(country, type) {
+  try {
+    const rankings = await getRankings();
+    const ranking = rankings?.countries?.[country];
+    const items = ranking?.[type === 'movie' ? 'movie' : 'series'];
+
+    if (!items || items.length === 0) {
+      return null;
+    }
+
+    console.log(`💾 Using Netflix Top 10 TSV (${ranking.source}) for ${country} ${type}, week of ${ranking.week}`);
+    return { week: ranking.week, items };
+  } catch (error) {
+    console.error(`❌ Error reading Netflix Top 10 TSV for ${country}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  ingestTsv,
+  ingestFromUrls,
+  getTop10
+};
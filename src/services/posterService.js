@@ -38,6 +38,27 @@ function getBadgeBuffer(rank) {
   }
 }
 
+/**
+ * Render a rank movement indicator (shapes only, so no fonts are needed on Vercel)
+ * Up: green triangle, down: red triangle, new: gold star, each on a dark disc
+ * @param {string} movement - 'up', 'down' or 'new'
+ * @param {number} size - Indicator size in pixels
+ * @returns {Buffer} Indicator SVG buffer
+ */
+function getMovementBuffer(movement, size) {
+  const shapes = {
+    up: '<polygon points="50,22 80,70 20,70" fill="#46D369"/>',
+    down: '<polygon points="20,30 80,30 50,78" fill="#E50914"/>',
+    new: '<polygon points="50,16 59,40 84,40 64,56 71,81 50,66 29,81 36,56 16,40 41,40" fill="#F5C518"/>'
+  };
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 100 100">`
+    + '<circle cx="50" cy="50" r="48" fill="#000000" fill-opacity="0.75"/>'
+    + shapes[movement]
+    + '</svg>';
+  return Buffer.from(svg);
+}
+
 /**
  * Clean expired cache entries
  */
@@ -56,11 +77,12 @@ function cleanExpiredCache() {
  * Uses pre-rendered badge PNG images for reliable cross-platform rendering
  * @param {string} posterUrl - URL of the original poster
  * @param {number} rank - Netflix rank (1-10)
+ * @param {string} [movement] - Rank movement since last week ('up', 'down', 'new'), shown next to the badge
  * @returns {Promise<Buffer>} Processed image as JPEG buffer
  */
-async function addBadgeToPoster(posterUrl, rank) {
+async function addBadgeToPoster(posterUrl, rank, movement = null) {
   try {
-    console.log(`🖼️  Processing poster: rank ${rank}, URL: ${posterUrl}`);
+    console.log(`🖼️  Processing poster: rank ${rank}${movement ? ` (${movement})` : ''}, URL: ${posterUrl}`);
     
     // Fetch the original poster
     const response = await fetch(posterUrl);
@@ -92,13 +114,25 @@ async function addBadgeToPoster(posterUrl, rank) {
       .resize(badgeSize, badgeSize)
       .toBuffer();
     
+    const layers = [{
+      input: resizedBadge,
+      top: badgeY,
+      left: badgeX
+    }];
+    
+    // Movement indicator to the right of the badge, vertically centered on it
+    if (movement) {
+      const indicatorSize = Math.floor(badgeSize * 0.45);
+      layers.push({
+        input: getMovementBuffer(movement, indicatorSize),
+        top: badgeY + Math.floor((badgeSize - indicatorSize) / 2),
+        left: badgeX + badgeSize + padding
+      });
+    }
+    
     // Composite badge onto poster
     const processedImage = await image
-      .composite([{
-        input: resizedBadge,
-        top: badgeY,
-        left: badgeX
-      }])
+      .composite(layers)
       .jpeg({ quality: 90 })
       .toBuffer();
     
@@ -116,9 +150,10 @@ async function addBadgeToPoster(posterUrl, rank) {
  * @param {string} posterUrl - Original poster URL
  * @param {number} rank - Netflix rank (1-10)
  * @param {string} cacheKey - Unique cache key
+ * @param {string} [movement] - Rank movement since last week ('up', 'down', 'new')
  * @returns {Promise<Buffer>} Processed image buffer
  */
-async function getPosterWithBadge(posterUrl, rank, cacheKey) {
+async function getPosterWithBadge(posterUrl, rank, cacheKey, movement = null) {
   // Check cache first
   const cached = posterCache.get(cacheKey);
   if (cached) {
@@ -136,7 +171,7 @@ async function getPosterWithBadge(posterUrl, rank, cacheKey) {
   
   // Process fresh image
   console.log(`🔍 Fetching FRESH poster for: ${cacheKey}`);
-  const buffer = await addBadgeToPoster(posterUrl, rank);
+  const buffer = await addBadgeToPoster(posterUrl, rank, movement);
   
   // Cache the result
   posterCache.set(cacheKey, {
@@ -0,0 +1,90 @@
+const cache = require('../utils/cache');
+const tmdbService = require('./tmdbService');
+const traktService = require('./traktService');
+
+/**
+ * Recommendation Service
+ * Builds "Because you watched <title>" rows from the user's recent Trakt history
+ * and highly-rated movies, using TMDB recommendations for each seed title
+ */
+
+const BECAUSE_WATCHED_ROWS = 3; // Rows in the manifest at a time
+const SEED_POOL_SIZE = 12; // Recent/highly-rated movies the rows rotate through
+const SEED_MIN_RATING = 8; // Trakt ratings that count as "highly rated"
+const ROTATION_INTERVAL = 24 * 60 * 60 * 1000; // New set of rows every day
+const ROW_CACHE_TTL = 10 * 60 * 1000; // 10 min, like the watched list used for filtering
+const PAGE_SIZE = 20;
+
+/**
+ * Get the pool of seed movies: recently watched and highly rated, alternating, newest first
+ * @param {string} sessionId - User session ID (OAuth)
+ * @returns {Promise<Array>} Array of { tmdbId, title } (max SEED_POOL_SIZE)
+ */
+async function getSeedPool(sessionId) {
+  const [history, rated] = await Promise.all([
+    traktService.getMovieHistory(sessionId),
+    traktService.getRatedMovies(sessionId, SEED_MIN_RATING)
+  ]);
+
+  const pool = [];
+  const seen = new Set();
+  const add = (movie) => {
+    if (!movie?.ids?.tmdb || seen.has(movie.ids.tmdb) || pool.length >= SEED_POOL_SIZE) return;
+    seen.add(movie.ids.tmdb);
+    pool.push({ tmdbId: String(movie.ids.tmdb), title: movie.title });
+  };
+
+  for (let i = 0; i < Math.max(history.length, rated.length); i++) {
+    add(history[i]?.movie);
+    add(rated[i]?.movie);
+  }
+
+  return pool;
+}
+
+/**
+ * Get the seed movies for the current "Because you watched" rows
+ * Rotates through the seed pool, a new set of rows each ROTATION_INTERVAL
+ * @param {string} sessionId - User session ID (OAuth)
+ * @returns {Promise<Array>} Array of { tmdbId, title } (max BECAUSE_WATCHED_ROWS)
+ */
+async function getBecauseYouWatchedSeeds(sessionId) {
+  const pool = await getSeedPool(sessionId);
+  if (pool.length <= BECAUSE_WATCHED_ROWS) {
+    return pool;
+  }
+
+  const rotation = Math.floor(Date.now() / ROTATION_INTERVAL);
+  const offset = (rotation * BECAUSE_WATCHED_ROWS) % pool.length;
+  return Array.from({ length: BECAUSE_WATCHED_ROWS }, (_, i) => pool[(offset + i) % pool.length]);
+}
+
+/**
+ * Fetch a "Because you watched <title>" row: TMDB recommendations for the seed movie,
+ * with movies the user has already watched removed
+ * @param {string} sessionId - User session ID (OAuth)
+ * @param {string} tmdbId - TMDB ID of the seed movie
+ * @param {number} skip - Number of items to skip for pagination (default: 0)
+ * @returns {Promise<Array>} Array of movie metadata (max 20 items per page)
+ */
+async function getBecauseYouWatched(sessionId, tmdbId, skip = 0) {
+  const cacheKey = `recommendations:because-watched:${sessionId}:${tmdbId}`;
+  let metas = await cache.get(cacheKey);
+
+  if (!metas) {
+    const [recommendations, watched] = await Promise.all([
+      tmdbService.getRecommendationsFor(tmdbId, 'movie'),
+      traktService.getWatchedMovieIds(sessionId)
+    ]);
+    metas = recommendations.filter(meta => !traktService.isWatched(meta, watched));
+    console.log(`✅ Because you watched ${tmdbId}: ${metas.length} unwatched of ${recommendations.length} recommendations`);
+    await cache.set(cacheKey, metas, ROW_CACHE_TTL);
+  }
+
+  return metas.slice(skip, skip + PAGE_SIZE);
+}
+
+module.exports = {
+  getBecauseYouWatchedSeeds,
+  getBecauseYouWatched
+};
@@ -0,0 +1,68 @@
+const cache = require('../utils/cache');
+
+/**
+ * Scrape Health Service
+ * Records the outcome of every Top 10 refresh (which sources worked, the last error, how long it
+ * has been failing) so admins can see when a scraper breaks before users notice stale catalogs
+ */
+
+const HEALTH_TTL = 90 * 24 * 60 * 60 * 1000; // Kept long enough to show how long something has been failing
+
+/**
+ * Cache key of a health record
+ * @param {string} name - Record name (e.g. "netflix:sweden:movies")
+ * @returns {string} Cache key
+ */
+function getHealthKey(name) {
+  return `health:${name}`;
+}
+
+/**
+ * Record the outcome of a refresh
+ * Status is 'ok' when the primary source worked, 'degraded' when a fallback source had to be used,
+ * and 'failing' when every source failed
+ * @param {string} name - Record name (e.g. "netflix:sweden:movies")
+ * @param {object} attempts - Outcome per source, in the order tried: { [source]: { ok, error? } }
+ * @param {string|null} source - Source that delivered the data, or null if all failed
+ * @returns {Promise<object>} Updated health record
+ */
+async function recordRefresh(name, attempts, source) {
+  const previous = (await cache.get(getHealthKey(name))) || {};
+  const now = new Date().toISOString();
+  const primary = Object.keys(attempts)[0];
+  const errors = Object.entries(attempts).filter(([, attempt]) => !attempt.ok);
+
+  const record = {
+    status: !source ? 'failing' : source === primary ? 'ok' : 'degraded',
+    source,
+    lastAttemptAt: now,
+    lastSuccessAt: source ? now : previous.lastSuccessAt || null,
+    consecutiveFailures: source ? 0 : (previous.consecutiveFailures || 0) + 1,
+    lastError: errors.length > 0 ? `${errors[errors.length - 1][0]}: ${errors[errors.length - 1][1].error}` : null,
+    attempts
+  };
+
+  await cache.set(getHealthKey(name), record, HEALTH_TTL);
+
+  if (record.status === 'failing') {
+    console.warn(`⚠️  ${name}: all sources failed (${record.consecutiveFailures} in a row)`);
+  } else if (record.status === 'degraded') {
+    console.warn(`⚠️  ${name}: served by fallback source ${source}`);
+  }
+
+  return record;
+}
+
+/**
+ * Get a health record
+ * @param {string} name - Record name (e.g. "netflix:sweden:movies")
+ * @returns {Promise<object|null>} Health record or null if never refreshed
+ */
+async function getHealth(name) {
+  return cache.get(getHealthKey(name));
+}
+
+module.exports = {
+  recordRefresh,
+  getHealth
+};
@@ -1,6 +1,10 @@
+const crypto = require('crypto');
 const fetch = require('node-fetch');
 const { config } = require('../config');
 const tokenManager = require('../utils/tokenManager');
+const cache = require('../utils/cache');
+const tmdbService = require('./tmdbService');
+const tasteProfileService = require('./tasteProfileService');
 
 /**
  * Scrobble Service
@@ -8,79 +12,251 @@ const tokenManager = require('../utils/tokenManager');
  */
 
 /**
- * Mark a movie or episode as watched on Trakt
- * @param {string} sessionId - User session ID
- * @param {string} imdbId - IMDB ID (e.g., 'tt1234567')
+ * Build the /sync/history payload for one play
+ * Episodes are sent as their show (by IMDB ID) with the season and episode nested, since
+ * Stremio episode IDs carry the show's IMDB ID rather than the episode's
+ * @param {string} imdbId - IMDB ID of the movie or show
  * @param {string} type - Content type ('movie' or 'series')
- * @param {string} [seasonNumber] - Season number for series
- * @param {string} [episodeNumber] - Episode number for series
- * @returns {Promise<boolean>} True if successful
+ * @param {number|null} seasonNumber - Season number for series
+ * @param {number|null} episodeNumber - Episode number for series
+ * @param {string} watchedAt - ISO date of the play
+ * @returns {object} Sync data
  */
-async function markAsWatched(sessionId, imdbId, type, seasonNumber = null, episodeNumber = null) {
+function buildSyncData(imdbId, type, seasonNumber, episodeNumber, watchedAt) {
+  if (type === 'movie') {
+    return {
+      movies: [{
+        ids: { imdb: imdbId },
+        watched_at: watchedAt
+      }]
+    };
+  }
+
+  return {
+    shows: [{
+      ids: { imdb: imdbId },
+      seasons: [{
+        number: seasonNumber,
+        episodes: [{
+          number: episodeNumber,
+          watched_at: watchedAt
+        }]
+      }]
+    }]
+  };
+}
+
+/**
+ * Count the items Trakt couldn't match in a sync response
+ * @param {object} result - Trakt /sync/history response
+ * @returns {number} Number of unmatched movies, shows, seasons and episodes
+ */
+function countNotFound(result) {
+  const notFound = result.not_found || {};
+  return ['movies', 'shows', 'seasons', 'episodes']
+    .reduce((count, key) => count + (notFound[key]?.length || 0), 0);
+}
+
+/**
+ * Duplicate-play protection
+ * Stremio requests streams for the same item again and again (refreshes, back-navigation, autoplay),
+ * so a movie or episode is not recorded again within config.scrobble.dedupeHours: neither when this
+ * add-on synced it for the session, nor when it already shows up in the user's recent Trakt history.
+ * The "synced" marker is claimed atomically before the play is sent, so concurrent commits of the
+ * same play can't both reach Trakt
+ */
+
+const STATS_KEY = 'scrobble:stats';
+const STATS_OUTCOMES = ['synced', 'duplicate', 'queued', 'failed'];
+const STATS_TTL = 365 * 24 * 60 * 60 * 1000;
+const RECENT_SKIPS_LIMIT = 20;
+
+/**
+ * Get the dedupe window
+ * @returns {number} Window in milliseconds
+ */
+function getDedupeWindow() {
+  return config.scrobble.dedupeHours * 60 * 60 * 1000;
+}
+
+/**
+ * Cache key marking a title as synced for a session (expires with the dedupe window)
+ * @param {string} sessionId - User session ID
+ * @param {string} id - Stremio content ID (e.g., 'tt1234567' or 'tt1234567:1:1')
+ * @returns {string} Cache key
+ */
+function getSyncedKey(sessionId, id) {
+  return `scrobble:synced:${sessionId}:${id}`;
+}
+
+/**
+ * Count a sync outcome in the scrobble stats
+ * Counters are incremented atomically; the recent skips list is best effort (concurrent skips may drop an entry)
+ * @param {string} outcome - 'synced', 'duplicate', 'queued' (for retry) or 'failed'
+ * @param {object} [skip] - Details of a skipped duplicate ({ id, reason }), kept in the recent skips
+ */
+async function recordSyncStat(outcome, skip = null) {
+  await cache.increment(`${STATS_KEY}:${outcome}`, STATS_TTL);
+
+  if (skip) {
+    const recentSkips = (await cache.get(`${STATS_KEY}:recentSkips`)) || [];
+    const updated = [{ ...skip, at: new Date().toISOString() }, ...recentSkips].slice(0, RECENT_SKIPS_LIMIT);
+    await cache.set(`${STATS_KEY}:recentSkips`, updated, STATS_TTL);
+  }
+}
+
+/**
+ * Get the scrobble stats (synced, skipped duplicates, queued for retry, failed, most recent skips)
+ * @returns {Promise<object>} Stats
+ */
+async function getSyncStats() {
+  const stats = {};
+  for (const outcome of STATS_OUTCOMES) {
+    stats[outcome] = Number(await cache.get(`${STATS_KEY}:${outcome}`)) || 0;
+  }
+  stats.recentSkips = (await cache.get(`${STATS_KEY}:recentSkips`)) || [];
+  return stats;
+}
+
+/**
+ * Claim a play for sending: atomically marks it as synced for the dedupe window
+ * @param {string} sessionId - User session ID
+ * @param {string} id - Stremio content ID (e.g., 'tt1234567' or 'tt1234567:1:1')
+ * @returns {Promise<string|null>} Reason it's a duplicate if it was already claimed, or null if claimed now
+ */
+async function claimPlay(sessionId, id) {
+  const key = getSyncedKey(sessionId, id);
+  if (await cache.setIfAbsent(key, new Date().toISOString(), getDedupeWindow())) {
+    return null;
+  }
+  return `already synced by the add-on at ${await cache.get(key)}`;
+}
+
+/**
+ * Check whether a play is already in the user's recent Trakt history
+ * The check is skipped (not failed) when Trakt can't be reached
+ * @param {object} play - { id, imdbId, type, season, episode }
+ * @param {object} headers - Trakt request headers
+ * @returns {Promise<string|null>} Reason it's a duplicate, or null if it isn't
+ */
+async function findDuplicatePlay(play, headers) {
+  try {
+    const since = new Date(Date.now() - getDedupeWindow()).toISOString();
+    const category = play.type === 'movie' ? 'movies' : 'episodes';
+    const response = await fetch(`${config.trakt.apiUrl}/sync/history/${category}?start_at=${since}&limit=100`, { headers });
+
+    if (!response.ok) {
+      throw new Error(`Trakt API error: ${response.status}`);
+    }
+
+    const history = await response.json();
+    const match = history.find(item => play.type === 'movie'
+      ? item.movie?.ids?.imdb === play.imdbId
+      : item.show?.ids?.imdb === play.imdbId && item.episode?.season === play.season && item.episode?.number === play.episode);
+
+    return match ? `already in Trakt history (watched at ${match.watched_at})` : null;
+  } catch (error) {
+    console.warn(`⚠️  Could not check Trakt history for duplicates: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get how long Trakt asked to wait before the next request (a minute if it didn't say)
+ * @param {object} response - Fetch response of a rate-limited request
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryAfter(response) {
+  const seconds = parseInt(response.headers.get('Retry-After'), 10);
+  return isNaN(seconds) ? 60 * 1000 : seconds * 1000;
+}
+
+/**
+ * Send one play to Trakt's history
+ * Failures that may work later (network errors, rate limits, Trakt outages, expired tokens) are flagged
+ * as retryable; the rest (unknown titles, missing permissions) are not
+ * @param {string} sessionId - User session ID
+ * @param {object} play - { imdbId, type, season, episode, watchedAt }
+ * @returns {Promise<object>} { success, added?, duplicate?, error?, retryable?, retryAfter? }
+ */
+async function sendPlay(sessionId, play) {
+  const { imdbId, type, season: seasonNumber, episode: episodeNumber, watchedAt } = play;
+  // Synced marker claimed for this play, released again if the play doesn't reach Trakt
+  let claimedKey = null;
+
   try {
     if (!sessionId) {
       console.log('ℹ️  No session ID provided');
-      return false;
+      return { success: false, error: 'No session ID provided' };
     }
 
     // Check if user is authenticated
     const isAuth = await tokenManager.isAuthenticated(sessionId);
     if (!isAuth) {
       console.log('ℹ️  Not authenticated, skipping watch sync');
-      return false;
+      return { success: false, error: 'Not authenticated', retryable: true };
     }
 
     const token = await tokenManager.getAccessToken(sessionId);
     if (!token) {
       console.log('ℹ️  No valid token, skipping watch sync');
-      return false;
+      return { success: false, error: 'No valid token', retryable: true };
     }
 
     // Prepare the sync data
-    const watchedAt = new Date().toISOString();
-    let syncData = {};
+    const isEpisode = type === 'series' || type === 'episode';
+    let label;
 
     if (type === 'movie') {
-      syncData.movies = [{
-        ids: { imdb: imdbId },
-        watched_at: watchedAt
-      }];
-      console.log(`📝 Marking movie ${imdbId} as watched on Trakt...`);
-    } else if (type === 'series' || type === 'episode') {
-      // For series, we need season and episode numbers
-      if (!seasonNumber || !episodeNumber) {
+      label = `movie ${imdbId}`;
+    } else if (isEpisode) {
+      // For series, we need season and episode numbers (season 0 holds the specials)
+      if (seasonNumber === null || episodeNumber === null) {
         console.warn('⚠️  Season/episode numbers required for series, skipping sync');
-        return false;
+        return { success: false, error: 'Season/episode numbers required for series' };
       }
-      
-      syncData.episodes = [{
-        ids: { imdb: imdbId },
-        watched_at: watchedAt
-      }];
-      console.log(`📝 Marking episode ${imdbId} S${seasonNumber}E${episodeNumber} as watched on Trakt...`);
+      label = `episode ${imdbId} S${seasonNumber}E${episodeNumber}`;
     } else {
       console.warn(`⚠️  Unknown content type: ${type}, skipping sync`);
-      return false;
+      return { success: false, error: `Unknown content type: ${type}` };
     }
 
+    const syncData = buildSyncData(imdbId, type, seasonNumber, episodeNumber, watchedAt);
+    console.log(`📝 Marking ${label} as watched on Trakt...`);
+
     // Get client ID for the request
     const tokens = await tokenManager.loadTokens(sessionId);
     const clientId = tokens?.client_id;
     
     if (!clientId) {
       console.error('❌ No client ID found, cannot sync to Trakt');
-      return false;
+      return { success: false, error: 'No client ID' };
+    }
+    
+    const headers = {
+      'Content-Type': 'application/json',
+      'trakt-api-version': '2',
+      'trakt-api-key': clientId,
+      'Authorization': `Bearer ${token}`
+    };
+
+    // Don't record the same play twice within the dedupe window: claim it first (atomic), then check Trakt
+    const id = type === 'movie' ? imdbId : `${imdbId}:${seasonNumber}:${episodeNumber}`;
+    let duplicate = await claimPlay(sessionId, id);
+    if (!duplicate) {
+      claimedKey = getSyncedKey(sessionId, id);
+      duplicate = await findDuplicatePlay({ id, imdbId, type, season: seasonNumber, episode: episodeNumber }, headers);
+    }
+    if (duplicate) {
+      console.log(`⏭️  Skipping duplicate play of ${label}: ${duplicate}`);
+      await recordSyncStat('duplicate', { id, reason: duplicate });
+      return { success: true, added: 0, duplicate: true };
     }
     
     // Send to Trakt
-    const response = await fetch('https://api.trakt.tv/sync/history', {
+    const response = await fetch(`${config.trakt.apiUrl}/sync/history`, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'trakt-api-version': '2',
-        'trakt-api-key': clientId,
-        'Authorization': `Bearer ${token}`
-      },
+      headers,
       body: JSON.stringify(syncData)
     });
 
@@ -98,57 +274,557 @@ async function markAsWatched(sessionId, imdbId, type, seasonNumber = null, episo
         console.error('   4. Re-authenticate at http://localhost:8000');
         console.error('');
       }
-      
-      return false;
+
+      await cache.clear(claimedKey);
+
+      // Rate limits, Trakt outages and rejected (expired) tokens are worth retrying
+      const retryable = response.status === 429 || response.status === 401 || response.status >= 500;
+      if (!retryable) {
+        await recordSyncStat('failed');
+      }
+      return {
+        success: false,
+        error: `Trakt API error: ${response.status}`,
+        retryable,
+        retryAfter: response.status === 429 ? getRetryAfter(response) : null
+      };
     }
 
     const result = await response.json();
     
-    // Check results
-    if (type === 'movie') {
-      const added = result.added?.movies || 0;
-      if (added > 0) {
-        console.log(`✅ Successfully synced movie to Trakt (${added} added)`);
-        return true;
-      } else {
-        console.log('ℹ️  Movie already marked as watched on Trakt');
-        return true;
-      }
-    } else {
-      const added = result.added?.episodes || 0;
-      if (added > 0) {
-        console.log(`✅ Successfully synced episode to Trakt (${added} added)`);
-        return true;
-      } else {
-        console.log('ℹ️  Episode already marked as watched on Trakt');
-        return true;
-      }
+    // Check results: history always adds a new play, so nothing added means Trakt matched nothing
+    const added = (type === 'movie' ? result.added?.movies : result.added?.episodes) || 0;
+    const notFound = countNotFound(result);
+
+    if (notFound > 0 || added === 0) {
+      console.error(`❌ Trakt could not match ${label} (not found: ${JSON.stringify(result.not_found || {})})`);
+      await cache.clear(claimedKey);
+      await recordSyncStat('failed');
+      return { success: false, error: `Trakt could not find ${label}` };
     }
+
+    console.log(`✅ Successfully synced ${label} to Trakt (${added} added)`);
+    await recordSyncStat('synced');
+
+    // Keep the taste profile current without rebuilding it from Trakt (fire and forget)
+    tasteProfileService.recordPlays(sessionId, [{ imdbId, type: type === 'movie' ? 'movie' : 'series' }])
+      .catch(err => console.error('❌ Error updating taste profile:', err.message));
+
+    return { success: true, added };
   } catch (error) {
+    // Network errors and timeouts
     console.error('❌ Error syncing to Trakt:', error.message);
-    return false;
+    if (claimedKey) {
+      await cache.clear(claimedKey).catch(() => {});
+    }
+    return { success: false, error: error.message, retryable: true };
+  }
+}
+
+/**
+ * Mark a movie or episode as watched on Trakt
+ * Plays that fail for a retryable reason are added to the session's retry queue
+ * @param {string} sessionId - User session ID
+ * @param {string} imdbId - IMDB ID of the movie or show (e.g., 'tt1234567')
+ * @param {string} type - Content type ('movie' or 'series')
+ * @param {number} [seasonNumber] - Season number for series
+ * @param {number} [episodeNumber] - Episode number for series
+ * @returns {Promise<object>} { success, added?, duplicate?, queued?, error? }
+ */
+async function markAsWatched(sessionId, imdbId, type, seasonNumber = null, episodeNumber = null) {
+  const play = { imdbId, type, season: seasonNumber, episode: episodeNumber, watchedAt: new Date().toISOString() };
+  const result = await sendPlay(sessionId, play);
+
+  if (!result.success && result.retryable && sessionId) {
+    try {
+      await enqueueRetry(sessionId, play, result);
+      return { ...result, queued: true };
+    } catch (error) {
+      console.error('❌ Error queueing watch sync for retry:', error.message);
+      await recordSyncStat('failed');
+    }
   }
+
+  return result;
 }
 
+// Stremio IDs that can be synced: an IMDB ID, followed by season and episode numbers for episodes
+const STREMIO_ID_REGEX = /^(tt\d+)(?::(\d+):(\d+))?$/;
+
 /**
  * Parse Stremio ID to extract IMDB ID and episode info
+ * IDs that can't be sent to Trakt (tmdb:, netflix:, top10:, malformed episode numbers) parse to all nulls,
+ * as do episode IDs of movies and series IDs without an episode
  * @param {string} id - Stremio content ID (e.g., 'tt1234567' or 'tt1234567:1:1')
- * @returns {object} Parsed ID info
+ * @param {string} [type] - Content type ('movie' or 'series'), checked against the ID when given
+ * @returns {object} Parsed ID info ({ imdbId, season, episode })
  */
-function parseStremioId(id) {
-  if (!id) {
+function parseStremioId(id, type = null) {
+  const match = typeof id === 'string' ? id.match(STREMIO_ID_REGEX) : null;
+  const isEpisode = Boolean(match && match[2]);
+
+  if (!match || (type === 'movie' && isEpisode) || (type === 'series' && !isEpisode)) {
     return { imdbId: null, season: null, episode: null };
   }
 
-  const parts = id.split(':');
-  
   return {
-    imdbId: parts[0],
-    season: parts[1] ? parseInt(parts[1]) : null,
-    episode: parts[2] ? parseInt(parts[2]) : null
+    imdbId: match[1],
+    season: isEpisode ? parseInt(match[2], 10) : null,
+    episode: isEpisode ? parseInt(match[3], 10) : null
   };
 }
 
+/**
+ * Deferred watch marking
+ * Stremio requests streams as soon as a detail page is opened, so a stream request only starts a
+ * pending watch. It is committed to Trakt once a share of the runtime has passed (config.scrobble),
+ * unless a stream request for another title supersedes it first. Pending watches live in the cache
+ * (Redis in production) so every serverless instance sees the same state; they are committed by an
+ * in-process timer where the server keeps running, on the session's next stream request, or by the
+ * /admin/scrobble/flush endpoint (e.g. from a cron job). Whoever commits first claims the watch
+ * atomically, so it is sent to Trakt once
+ */
+
+const PENDING_GRACE = 24 * 60 * 60 * 1000; // Pending watches not committed within a day of being due are dropped
+const PENDING_INDEX_KEY = 'scrobble:pending:sessions';
+
+/**
+ * Cache key of a session's pending watch
+ * @param {string} sessionId - User session ID
+ * @returns {string} Cache key
+ */
+function getPendingKey(sessionId) {
+  return `scrobble:pending:${sessionId}`;
+}
+
+/**
+ * Get how long a title has to play before it counts as watched
+ * @param {object} watch - Pending watch ({ imdbId, type, season, episode })
+ * @returns {Promise<number>} Delay in milliseconds
+ */
+async function getWatchDelay(watch) {
+  const runtime = await tmdbService.getRuntime(watch.imdbId, watch.type, watch.season, watch.episode)
+    || config.scrobble.defaultRuntime[watch.type === 'movie' ? 'movie' : 'series'];
+  return Math.round(runtime * 60 * 1000 * config.scrobble.watchedPercent / 100);
+}
+
+/**
+ * Add a session to the index of sessions with a pending watch (used by the flush endpoint)
+ * The index is a set, so sessions added concurrently are all kept
+ * @param {string} sessionId - User session ID
+ */
+async function addToPendingIndex(sessionId) {
+  await cache.addToSet(PENDING_INDEX_KEY, sessionId, PENDING_GRACE);
+}
+
+/**
+ * Commit a session's pending watch to Trakt if it is due
+ * @param {string} sessionId - User session ID
+ * @param {string} [expectedId] - Only commit if the pending watch is still this Stremio ID (timers)
+ * @returns {Promise<object|null>} Sync result, or null if nothing was due
+ */
+async function commitDueWatch(sessionId, expectedId = null) {
+  const key = getPendingKey(sessionId);
+  const watch = await cache.get(key);
+
+  if (!watch || (expectedId && watch.id !== expectedId) || new Date(watch.commitAt).getTime() > Date.now()) {
+    return null;
+  }
+
+  // Claim it atomically so a timer, a request and the flush endpoint can't all commit it
+  const claimed = await cache.setIfAbsent(`${key}:claim:${watch.id}:${watch.startedAt}`, true, PENDING_GRACE);
+  if (!claimed) {
+    return null;
+  }
+  // Only clear this watch: a stream request may have started a newer one since it was read
+  await cache.clearIfEqual(key, watch);
+  console.log(`⏱️  Committing pending watch ${watch.id} for session ${sessionId.substring(0, 8)}...`);
+
+  const result = await markAsWatched(sessionId, watch.imdbId, watch.type, watch.season, watch.episode);
+  if (result.queued) {
+    console.warn(`⚠️  Watch sync failed for ${watch.id}, queued for retry: ${result.error}`);
+  } else if (!result.success) {
+    console.warn(`⚠️  Watch sync failed for ${watch.id}: ${result.error}`);
+  }
+  return result;
+}
+
+/**
+ * Start a pending watch for a stream request
+ * A due pending watch is committed first; one of another title that isn't due yet is superseded (dropped).
+ * Requesting the pending title again keeps its original timer
+ * @param {string} sessionId - User session ID
+ * @param {string} id - Stremio content ID (e.g., 'tt1234567' or 'tt1234567:1:1')
+ * @param {string} type - Content type ('movie' or 'series')
+ * @returns {Promise<object|null>} Pending watch, or null if the ID can't be synced or was synced recently
+ */
+async function startWatch(sessionId, id, type) {
+  const committed = await commitDueWatch(sessionId);
+
+  const { imdbId, season, episode } = parseStremioId(id, type);
+  if (!imdbId) {
+    console.log(`ℹ️  ${id} can't be synced to Trakt, not starting a pending watch`);
+    return null;
+  }
+
+  // Recently synced titles don't get a new pending watch (duplicate-play protection)
+  const syncedAt = await cache.get(getSyncedKey(sessionId, id));
+  if (syncedAt) {
+    console.log(`⏭️  Skipping duplicate play of ${id}: already synced by the add-on at ${syncedAt}`);
+    await recordSyncStat('duplicate', { id, reason: `already synced by the add-on at ${syncedAt}` });
+    return null;
+  }
+
+  const key = getPendingKey(sessionId);
+  const pending = committed ? null : await cache.get(key);
+
+  if (pending) {
+    if (pending.id === id) {
+      console.log(`ℹ️  ${id} is already pending, keeping its timer`);
+      return pending;
+    }
+    console.log(`ℹ️  Pending watch ${pending.id} superseded by ${id}, not syncing it`);
+  }
+
+  const watch = { id, imdbId, type, season, episode, startedAt: new Date().toISOString() };
+  const delay = await getWatchDelay(watch);
+  watch.commitAt = new Date(Date.now() + delay).toISOString();
+
+  await cache.set(key, watch, delay + PENDING_GRACE);
+  await addToPendingIndex(sessionId);
+  console.log(`⏱️  Pending watch ${id}: marked watched on Trakt in ${Math.round(delay / 60000)} min unless superseded`);
+
+  // Best effort where the process keeps running; serverless instances rely on the next request or the flush endpoint
+  if (!process.env.VERCEL) {
+    setTimeout(() => {
+      commitDueWatch(sessionId, id).catch(error => console.error('❌ Error committing pending watch:', error.message));
+    }, delay + 1000).unref();
+  }
+
+  return watch;
+}
+
+/**
+ * Commit every due pending watch (all sessions)
+ * @returns {Promise<object>} { committed, failed, pending }
+ */
+async function flushDueWatches() {
+  const sessions = await cache.getSetMembers(PENDING_INDEX_KEY);
+  let committed = 0;
+  let failed = 0;
+  let pending = 0;
+
+  for (const sessionId of sessions) {
+    const result = await commitDueWatch(sessionId);
+    if (result) {
+      result.success ? committed++ : failed++;
+    }
+
+    // Drop the session from the index, then add it back if it (still or again) has a pending watch,
+    // so a watch started during the flush keeps its session in the index
+    await cache.removeFromSet(PENDING_INDEX_KEY, sessionId);
+    if (await cache.get(getPendingKey(sessionId))) {
+      await addToPendingIndex(sessionId);
+      pending++;
+    }
+  }
+
+  console.log(`✅ Flushed pending watches: ${committed} committed, ${failed} failed, ${pending} still pending`);
+  return { committed, failed, pending };
+}
+
+/**
+ * Retry queue
+ * Plays that couldn't be sent to Trakt for a retryable reason are kept in a per-session queue in the
+ * cache (Redis in production) and retried with exponential backoff, or after the delay Trakt asks for
+ * with Retry-After. Queues are drained on the session's next stream request and by the /admin/scrobble/flush
+ * endpoint. Plays still failing after RETRY_MAX_ATTEMPTS stay in the queue as failed, so the user can
+ * see them and retry or dismiss them from the configure page.
+ * Two locks per session: the drain lock makes sure only one drain sends the queued plays, and the short
+ * write lock serializes every change to the stored queue (queueing, drain results, retry, dismiss)
+ */
+
+const RETRY_QUEUE_TTL = 30 * 24 * 60 * 60 * 1000;
+const RETRY_INDEX_KEY = 'scrobble:queue:sessions';
+const RETRY_LOCK_TTL = 5 * 60 * 1000;
+const QUEUE_WRITE_LOCK_TTL = 10 * 1000; // Released right after the write; expires if the instance dies holding it
+const QUEUE_WRITE_WAIT = 50;
+const QUEUE_WRITE_ATTEMPTS = 100; // Give up after about 5 seconds
+const RETRY_BASE_DELAY = 60 * 1000;
+const RETRY_MAX_DELAY = 6 * 60 * 60 * 1000;
+const RETRY_MAX_ATTEMPTS = 10;
+
+/**
+ * Cache key of a session's retry queue
+ * @param {string} sessionId - User session ID
+ * @returns {string} Cache key
+ */
+function getQueueKey(sessionId) {
+  return `scrobble:queue:${sessionId}`;
+}
+
+/**
+ * Get the delay before the next attempt of a queued play
+ * @param {number} attempts - Failed attempts so far
+ * @param {number|null} retryAfter - Delay Trakt asked for (ms), if any
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts, retryAfter) {
+  const backoff = Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), RETRY_MAX_DELAY);
+  return Math.max(backoff, retryAfter || 0);
+}
+
+/**
+ * Stremio ID of a play, used to identify it in the queue
+ * @param {object} play - { imdbId, type, season, episode }
+ * @returns {string} Stremio content ID
+ */
+function getPlayId(play) {
+  return play.type === 'movie' ? play.imdbId : `${play.imdbId}:${play.season}:${play.episode}`;
+}
+
+/**
+ * Save a session's retry queue, keeping the session in the index (a set) while it has pending plays
+ * Only call it under the session's write lock (updateQueue)
+ * @param {string} sessionId - User session ID
+ * @param {Array} queue - Queued plays
+ */
+async function saveQueue(sessionId, queue) {
+  if (queue.length === 0) {
+    await cache.clear(getQueueKey(sessionId));
+  } else {
+    await cache.set(getQueueKey(sessionId), queue, RETRY_QUEUE_TTL);
+  }
+
+  if (queue.some(entry => entry.status === 'pending')) {
+    await cache.addToSet(RETRY_INDEX_KEY, sessionId, RETRY_QUEUE_TTL);
+  } else {
+    await cache.removeFromSet(RETRY_INDEX_KEY, sessionId);
+  }
+}
+
+/**
+ * Change a session's retry queue under its write lock, so concurrent changes can't overwrite
+ * each other with a stale copy of the queue
+ * The lock is only held while the queue is read and saved, never while plays are sent to Trakt
+ * @param {string} sessionId - User session ID
+ * @param {function} update - (queue) => updated queue
+ * @returns {Promise<Array>} Updated queue
+ * @throws {Error} If the lock can't be taken (another change takes too long)
+ */
+async function updateQueue(sessionId, update) {
+  const key = getQueueKey(sessionId);
+  const lockKey = `${key}:write`;
+  const token = crypto.randomUUID();
+
+  for (let attempt = 1; !(await cache.setIfAbsent(lockKey, token, QUEUE_WRITE_LOCK_TTL)); attempt++) {
+    if (attempt >= QUEUE_WRITE_ATTEMPTS) {
+      throw new Error('Retry queue is busy, try again later');
+    }
+    await new Promise(resolve => setTimeout(resolve, QUEUE_WRITE_WAIT));
+  }
+
+  try {
+    const updated = update((await cache.get(key)) || []);
+    await saveQueue(sessionId, updated);
+    return updated;
+  } finally {
+    // Never release a lock that expired and was taken by someone else
+    await cache.clearIfEqual(lockKey, token);
+  }
+}
+
+/**
+ * Add a failed play to a session's retry queue (a play already queued is not added twice)
+ * @param {string} sessionId - User session ID
+ * @param {object} play - { imdbId, type, season, episode, watchedAt }
+ * @param {object} failure - Result of the failed attempt ({ error, retryAfter })
+ * @returns {Promise<object>} Queued entry
+ */
+async function enqueueRetry(sessionId, play, failure) {
+  const id = getPlayId(play);
+  let existing = null;
+  const entry = {
+    id,
+    play,
+    status: 'pending',
+    attempts: 1,
+    queuedAt: new Date().toISOString(),
+    nextAttemptAt: new Date(Date.now() + getRetryDelay(1, failure.retryAfter)).toISOString(),
+    lastError: failure.error
+  };
+
+  await updateQueue(sessionId, queue => {
+    existing = queue.find(queued => queued.id === id && queued.status === 'pending');
+    return existing ? queue : [...queue, entry];
+  });
+
+  if (existing) {
+    console.log(`ℹ️  ${id} is already queued for retry`);
+    return existing;
+  }
+
+  await recordSyncStat('queued');
+  console.log(`🔁 Queued ${id} for retry at ${entry.nextAttemptAt} (${failure.error})`);
+  return entry;
+}
+
+/**
+ * Retry a session's due queued plays
+ * Stops at a rate limit and postpones the remaining due plays until Trakt's Retry-After has passed
+ * @param {string} sessionId - User session ID
+ * @returns {Promise<object|null>} { synced, retrying, failed }, or null if nothing was due or another drain is running
+ */
+async function drainQueue(sessionId) {
+  const key = getQueueKey(sessionId);
+  const lockKey = `${key}:lock`;
+  const isDue = entry => entry.status === 'pending' && new Date(entry.nextAttemptAt).getTime() <= Date.now();
+
+  if (!((await cache.get(key)) || []).some(isDue)) {
+    return null;
+  }
+
+  // One drain per session at a time (atomic), so concurrent requests don't replay the same plays
+  const token = crypto.randomUUID();
+  if (!(await cache.setIfAbsent(lockKey, token, RETRY_LOCK_TTL))) {
+    return null;
+  }
+
+  // Read again under the lock: a drain that just finished may have handled the plays already
+  const due = ((await cache.get(key)) || []).filter(isDue);
+  const updates = new Map();
+  const summary = { synced: 0, retrying: 0, failed: 0 };
+  let rateLimitedUntil = null;
+
+  try {
+    console.log(`🔁 Retrying ${due.length} queued watch syncs for session ${sessionId.substring(0, 8)}...`);
+
+    for (const entry of due) {
+      if (rateLimitedUntil) {
+        updates.set(entry.id, { ...entry, nextAttemptAt: rateLimitedUntil });
+        summary.retrying++;
+        continue;
+      }
+
+      const result = await sendPlay(sessionId, entry.play);
+      if (result.success) {
+        updates.set(entry.id, null);
+        summary.synced++;
+        continue;
+      }
+
+      const attempts = entry.attempts + 1;
+      if (!result.retryable || attempts >= RETRY_MAX_ATTEMPTS) {
+        console.warn(`⚠️  Giving up on ${entry.id} after ${attempts} attempts: ${result.error}`);
+        updates.set(entry.id, { ...entry, status: 'failed', attempts, nextAttemptAt: null, lastError: result.error });
+        if (result.retryable) {
+          await recordSyncStat('failed');
+        }
+        summary.failed++;
+        continue;
+      }
+
+      const nextAttemptAt = new Date(Date.now() + getRetryDelay(attempts, result.retryAfter)).toISOString();
+      updates.set(entry.id, { ...entry, attempts, nextAttemptAt, lastError: result.error });
+      summary.retrying++;
+
+      if (result.retryAfter) {
+        rateLimitedUntil = nextAttemptAt;
+      }
+    }
+
+    // Apply the results to the latest queue, so plays queued while draining aren't lost
+    await updateQueue(sessionId, latest => latest
+      .map(entry => entry.status === 'pending' && updates.has(entry.id) ? updates.get(entry.id) : entry)
+      .filter(Boolean));
+  } finally {
+    await cache.clearIfEqual(lockKey, token);
+  }
+
+  console.log(`✅ Retried queued watch syncs: ${summary.synced} synced, ${summary.retrying} retrying, ${summary.failed} failed`);
+  return summary;
+}
+
+/**
+ * Retry the due queued plays of every session
+ * @returns {Promise<object>} { synced, retrying, failed }
+ */
+async function drainAllQueues() {
+  const sessions = await cache.getSetMembers(RETRY_INDEX_KEY);
+  const totals = { synced: 0, retrying: 0, failed: 0 };
+
+  for (const sessionId of sessions) {
+    const summary = await drainQueue(sessionId);
+    if (summary) {
+      totals.synced += summary.synced;
+      totals.retrying += summary.retrying;
+      totals.failed += summary.failed;
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Get a session's retry queue
+ * @param {string} sessionId - User session ID
+ * @returns {Promise<object>} { pending: [...], failed: [...] } with entries { id, type, watchedAt, attempts, queuedAt, nextAttemptAt, lastError }
+ */
+async function getQueue(sessionId) {
+  const queue = (await cache.get(getQueueKey(sessionId))) || [];
+  const describe = entry => ({
+    id: entry.id,
+    type: entry.play.type,
+    watchedAt: entry.play.watchedAt,
+    attempts: entry.attempts,
+    queuedAt: entry.queuedAt,
+    nextAttemptAt: entry.nextAttemptAt,
+    lastError: entry.lastError
+  });
+
+  return {
+    pending: queue.filter(entry => entry.status === 'pending').map(describe),
+    failed: queue.filter(entry => entry.status === 'failed').map(describe)
+  };
+}
+
+/**
+ * Mark a session's failed plays as pending again, due immediately (they are sent on the next drain)
+ * @param {string} sessionId - User session ID
+ * @returns {Promise<number>} Number of failed plays put back in the queue
+ */
+async function retryFailed(sessionId) {
+  const now = new Date().toISOString();
+  let requeued = 0;
+
+  await updateQueue(sessionId, queue => queue.map(entry => {
+    if (entry.status !== 'failed') {
+      return entry;
+    }
+    requeued++;
+    return { ...entry, status: 'pending', attempts: 0, nextAttemptAt: now };
+  }));
+
+  return requeued;
+}
+
+/**
+ * Remove a session's failed plays from the queue
+ * @param {string} sessionId - User session ID
+ * @returns {Promise<number>} Number of plays removed
+ */
+async function clearFailed(sessionId) {
+  let removed = 0;
+
+  await updateQueue(sessionId, queue => {
+    const remaining = queue.filter(entry => entry.status !== 'failed');
+    removed = queue.length - remaining.length;
+    return remaining;
+  });
+
+  return removed;
+}
+
 /**
  * Bulk mark items as watched on Trakt
  * @param {string} sessionId - User session ID
@@ -326,6 +1002,15 @@ async function syncBatch(syncData, token, clientId) {
 module.exports = {
   markAsWatched,
   parseStremioId,
+  startWatch,
+  commitDueWatch,
+  flushDueWatches,
+  drainQueue,
+  drainAllQueues,
+  getQueue,
+  retryFailed,
+  clearFailed,
+  getSyncStats,
   bulkMarkAsWatched
 };
 
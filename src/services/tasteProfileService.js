@@ -0,0 +1,398 @@
+const cache = require('../utils/cache');
+const tmdbService = require('./tmdbService');
+const traktService = require('./traktService');
+
+/**
+ * Taste Profile Service
+ * Builds a per-session taste profile (weighted genres, keywords, decades, directors and cast)
+ * from Trakt history, ratings and imported Netflix history, and uses it to rank
+ * TMDB discover candidates for the "For You" catalogs
+ */
+
+const PROFILE_TTL = 30 * 24 * 60 * 60 * 1000; // Kept up to date incrementally, rebuilt after 30 days
+const IMPORTS_TTL = 365 * 24 * 60 * 60 * 1000; // Imported history outlives profile rebuilds
+const FOR_YOU_CACHE_TTL = 6 * 60 * 60 * 1000; // 6h per session and type
+const HISTORY_LIMIT = 100; // Most recent movies/shows read from Trakt for a full build
+const MAX_ENTRIES = 200; // Per dimension, lowest weights are pruned
+const MAX_SEEN = 2000; // Titles remembered as already counted (and excluded from "For You")
+const FETCH_BATCH_SIZE = 10; // Concurrent TMDB feature lookups
+const FOR_YOU_SIZE = 100;
+const PAGE_SIZE = 20;
+
+const DIMENSIONS = ['genres', 'keywords', 'decades', 'directors', 'cast'];
+// How much each dimension counts when scoring a candidate
+const DIMENSION_WEIGHTS = {
+  genres: 3,
+  keywords: 2,
+  decades: 1,
+  directors: 2,
+  cast: 1.5
+};
+
+/**
+ * Create an empty taste profile
+ * @returns {object} Profile
+ */
+function createProfile() {
+  return {
+    updatedAt: null,
+    plays: 0,
+    seen: [],
+    genres: {},
+    keywords: {},
+    decades: {},
+    directors: {},
+    cast: {}
+  };
+}
+
+/**
+ * Convert a Trakt rating (1-10) into a profile weight: loved titles count double, disliked ones negative
+ * @param {number} [rating] - Trakt rating, or none for a plain watch
+ * @returns {number} Weight
+ */
+function getRatingWeight(rating) {
+  return rating ? (rating - 5) / 2.5 : 1;
+}
+
+/**
+ * Add a title's features to the profile (mutates the profile)
+ * @param {object} profile - Taste profile
+ * @param {object} features - Title features from tmdbService.getTitleFeatures
+ * @param {number} weight - Weight of this play
+ */
+function applyFeatures(profile, features, weight) {
+  const values = {
+    genres: features.genres,
+    keywords: features.keywords,
+    decades: features.decade ? [features.decade] : [],
+    directors: features.directors,
+    cast: features.cast
+  };
+
+  for (const dimension of DIMENSIONS) {
+    for (const value of values[dimension] || []) {
+      profile[dimension][value] = (profile[dimension][value] || 0) + weight;
+    }
+  }
+}
+
+/**
+ * Keep only the strongest entries of each dimension so the profile stays small
+ * @param {object} profile - Taste profile (mutated)
+ */
+function pruneProfile(profile) {
+  for (const dimension of DIMENSIONS) {
+    const entries = Object.entries(profile[dimension]);
+    if (entries.length > MAX_ENTRIES) {
+      profile[dimension] = Object.fromEntries(entries.sort((a, b) => b[1] - a[1]).slice(0, MAX_ENTRIES));
+    }
+  }
+  profile.seen = profile.seen.slice(-MAX_SEEN);
+}
+
+/**
+ * Add titles to a profile, skipping ones already counted
+ * @param {object} profile - Taste profile (mutated)
+ * @param {Array} titles - Array of { tmdbId, type, rating }
+ * @returns {Promise<number>} Number of titles added
+ */
+async function addTitles(profile, titles) {
+  const seen = new Set(profile.seen);
+  const fresh = [];
+  for (const title of titles) {
+    const key = `${title.type}:${title.tmdbId}`;
+    if (title.tmdbId && !seen.has(key)) {
+      seen.add(key);
+      fresh.push({ ...title, key });
+    }
+  }
+
+  for (let i = 0; i < fresh.length; i += FETCH_BATCH_SIZE) {
+    const batch = fresh.slice(i, i + FETCH_BATCH_SIZE);
+    const features = await Promise.all(batch.map(title => tmdbService.getTitleFeatures(title.tmdbId, title.type)));
+    batch.forEach((title, index) => {
+      if (features[index]) {
+        applyFeatures(profile, features[index], getRatingWeight(title.rating));
+      }
+    });
+  }
+
+  profile.seen.push(...fresh.map(title => title.key));
+  profile.plays += fresh.length;
+  profile.updatedAt = new Date().toISOString();
+  pruneProfile(profile);
+  return fresh.length;
+}
+
+/**
+ * Resolve plays to profile titles, looking up TMDB IDs by IMDb ID where needed
+ * @param {Array} plays - Array of { imdbId, tmdbId?, type }
+ * @returns {Promise<Array>} Array of { tmdbId, type }
+ */
+async function resolveTitles(plays) {
+  const titles = [];
+  for (let i = 0; i < plays.length; i += FETCH_BATCH_SIZE) {
+    const batch = plays.slice(i, i + FETCH_BATCH_SIZE);
+    titles.push(...await Promise.all(batch.map(async (play) => ({
+      tmdbId: play.tmdbId || await tmdbService.findByImdbId(play.imdbId, play.type),
+      type: play.type
+    }))));
+  }
+  return titles;
+}
+
+/**
+ * Build a profile from scratch from Trakt ratings and history plus imported Netflix history
+ * Rated titles are added first so their rating (not a plain watch) decides their weight
+ * @param {string} sessionId - User session ID (OAuth)
+ * @returns {Promise<object>} Taste profile
+ */
+async function buildProfile(sessionId) {
+  console.log(`🔍 Building taste profile for session ${sessionId.substring(0, 8)}...`);
+  const [rated, history, shows, imported] = await Promise.all([
+    traktService.getRatedMovies(sessionId, 1),
+    traktService.getMovieHistory(sessionId, HISTORY_LIMIT),
+    traktService.getWatchedShows(sessionId),
+    cache.get(`taste:imports:${sessionId}`)
+  ]);
+
+  const titles = [
+    ...rated.map(item => ({ tmdbId: item.movie.ids.tmdb, type: 'movie', rating: item.rating })),
+    ...history.map(item => ({ tmdbId: item.movie.ids.tmdb, type: 'movie' })),
+    ...shows.slice(0, HISTORY_LIMIT).map(item => ({ tmdbId: item.show.ids.tmdb, type: 'series' })),
+    ...(imported || [])
+  ];
+
+  const profile = createProfile();
+  const added = await addTitles(profile, titles);
+  console.log(`✅ Taste profile built from ${added} titles`);
+  return profile;
+}
+
+/**
+ * Get a session's taste profile, building it on first use
+ * @param {string} sessionId - User session ID (OAuth)
+ * @returns {Promise<object>} Taste profile
+ */
+async function getProfile(sessionId) {
+  const cacheKey = `taste:profile:${sessionId}`;
+  const cached = await cache.get(cacheKey);
+
+  if (cached) {
+    return cached;
+  }
+
+  const profile = await buildProfile(sessionId);
+  await cache.set(cacheKey, profile, PROFILE_TTL);
+  return profile;
+}
+
+/**
+ * Add titles to a cached profile and save it
+ * @param {string} sessionId - User session ID
+ * @param {object} profile - Cached taste profile (mutated)
+ * @param {Array} titles - Array of { tmdbId, type }
+ * @returns {Promise<number>} Number of titles added to the profile
+ */
+async function addToCachedProfile(sessionId, profile, titles) {
+  const cacheKey = `taste:profile:${sessionId}`;
+  const added = await addTitles(profile, titles);
+  if (added > 0) {
+    await cache.set(cacheKey, profile, PROFILE_TTL);
+    // Recommendations should reflect the new plays on the next request
+    await cache.clearPattern(`taste:foryou:${sessionId}:*`);
+    console.log(`✅ Taste profile updated with ${added} new titles for session ${sessionId.substring(0, 8)}...`);
+  }
+  return added;
+}
+
+/**
+ * Record new plays in an existing profile (incremental update, no Trakt requests)
+ * Nothing happens if the profile hasn't been built yet; the next full build includes the plays
+ * @param {string} sessionId - User session ID
+ * @param {Array} plays - Array of { imdbId, tmdbId?, type }
+ * @returns {Promise<number>} Number of titles added to the profile
+ */
+async function recordPlays(sessionId, plays) {
+  const cacheKey = `taste:profile:${sessionId}`;
+  const profile = await cache.get(cacheKey);
+
+  if (!profile) {
+    return 0;
+  }
+
+  const titles = await resolveTitles(plays);
+  return addToCachedProfile(sessionId, profile, titles);
+}
+
+/**
+ * Record imported (Netflix) plays
+ * Imported plays aren't all in the Trakt history a full build reads (unmatched on Trakt, or
+ * older than HISTORY_LIMIT), so they are kept per session and merged into every build
+ * @param {string} sessionId - User session ID
+ * @param {Array} plays - Array of { imdbId, tmdbId?, type }
+ * @returns {Promise<number>} Number of titles added to the cached profile (0 if none is built yet)
+ */
+async function recordImportedPlays(sessionId, plays) {
+  const importsKey = `taste:imports:${sessionId}`;
+  const titles = (await resolveTitles(plays)).filter(title => title.tmdbId);
+
+  const stored = (await cache.get(importsKey)) || [];
+  const known = new Set(stored.map(title => `${title.type}:${title.tmdbId}`));
+  const fresh = titles.filter(title => {
+    const key = `${title.type}:${title.tmdbId}`;
+    if (known.has(key)) {
+      return false;
+    }
+    known.add(key);
+    return true;
+  });
+  await cache.set(importsKey, [...stored, ...fresh].slice(-MAX_SEEN), IMPORTS_TTL);
+  console.log(`💾 Stored ${fresh.length} imported titles for taste profile of session ${sessionId.substring(0, 8)}...`);
+
+  const profile = await cache.get(`taste:profile:${sessionId}`);
+  return profile ? addToCachedProfile(sessionId, profile, titles) : 0;
+}
+
+/**
+ * Get the strongest (positive) values of a profile dimension
+ * @param {object} weights - Dimension weights
+ * @param {number} count - Number of values
+ * @returns {Array<string>} Values, strongest first
+ */
+function getTopValues(weights, count) {
+  return Object.entries(weights)
+    .filter(([, weight]) => weight > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, count)
+    .map(([value]) => value);
+}
+
+/**
+ * Score a candidate's features against the profile (0 = no match)
+ * Each dimension contributes at most its DIMENSION_WEIGHTS value
+ * @param {object} profile - Taste profile
+ * @param {object} features - Candidate features
+ * @returns {number} Score
+ */
+function scoreFeatures(profile, features) {
+  const values = {
+    genres: features.genres,
+    keywords: features.keywords,
+    decades: features.decade ? [features.decade] : [],
+    directors: features.directors,
+    cast: features.cast
+  };
+
+  return DIMENSIONS.reduce((score, dimension) => {
+    const max = Math.max(...Object.values(profile[dimension]), 0);
+    if (max <= 0) {
+      return score;
+    }
+    const match = (values[dimension] || []).reduce((sum, value) => sum + (profile[dimension][value] || 0) / max, 0);
+    return score + DIMENSION_WEIGHTS[dimension] * Math.max(-1, Math.min(1, match));
+  }, 0);
+}
+
+/**
+ * Gather TMDB discover candidates matching the profile's top genres, keywords and people
+ * @param {object} profile - Taste profile
+ * @param {string} type - Content type (movie/series)
+ * @returns {Promise<Array>} Unique raw TMDB results
+ */
+async function getCandidates(profile, type) {
+  const genreIds = await tmdbService.getGenreIds(type);
+  const genres = getTopValues(profile.genres, 3).map(name => genreIds[name]).filter(Boolean);
+  const keywords = getTopValues(profile.keywords, 5);
+  const people = [...getTopValues(profile.directors, 3), ...getTopValues(profile.cast, 3)];
+  const quality = '&vote_count.gte=100&vote_average.gte=6.5';
+
+  const queries = [];
+  if (genres.length > 0) {
+    queries.push(`${quality}&with_genres=${genres.join('|')}`);
+  }
+  if (keywords.length > 0) {
+    queries.push(`${quality}&with_keywords=${keywords.join('|')}`);
+  }
+  // TV discover doesn't support people filters
+  if (type === 'movie' && people.length > 0) {
+    queries.push(`${quality}&with_people=${people.join('|')}`);
+  }
+  if (queries.length === 0) {
+    queries.push(quality);
+  }
+
+  const pages = await Promise.all(queries.flatMap(query => [1, 2].map(page => tmdbService.discoverTitles(type, query, page))));
+  const unique = new Map();
+  for (const result of pages.flat()) {
+    unique.set(result.id, result);
+  }
+  return [...unique.values()];
+}
+
+/**
+ * Fetch the "For You" catalog: TMDB discover candidates ranked by the user's taste profile,
+ * titles already counted in the profile (and watched movies) removed
+ * @param {string} sessionId - User session ID (OAuth)
+ * @param {string} type - Content type (movie/series)
+ * @param {number} skip - Number of items to skip for pagination (default: 0)
+ * @returns {Promise<Array>} Array of metadata (max 20 items per page)
+ */
+async function getForYou(sessionId, type, skip = 0) {
+  const cacheKey = `taste:foryou:${sessionId}:${type}`;
+  const cached = await cache.get(cacheKey);
+
+  if (cached) {
+    console.log(`💾 Serving For You ${type} (skip=${skip}) from cache (Redis)`);
+    return cached.slice(skip, skip + PAGE_SIZE);
+  }
+
+  try {
+    const profile = await getProfile(sessionId);
+    if (profile.plays === 0) {
+      console.warn('⚠️  Empty taste profile, nothing to recommend yet');
+      return [];
+    }
+
+    const seen = new Set(profile.seen);
+    const candidates = (await getCandidates(profile, type)).filter(result => !seen.has(`${type}:${result.id}`));
+
+    const scored = [];
+    for (let i = 0; i < candidates.length; i += FETCH_BATCH_SIZE) {
+      const batch = candidates.slice(i, i + FETCH_BATCH_SIZE);
+      const features = await Promise.all(batch.map(result => tmdbService.getTitleFeatures(result.id, type)));
+      batch.forEach((result, index) => {
+        if (features[index]) {
+          // Small popularity-independent quality bonus breaks ties between similar matches
+          scored.push({ result, score: scoreFeatures(profile, features[index]) + (result.vote_average || 0) / 10 });
+        }
+      });
+    }
+
+    const top = scored
+      .sort((a, b) => b.score - a.score)
+      .slice(0, FOR_YOU_SIZE)
+      .map(entry => entry.result);
+
+    let metas = await Promise.all(top.map(result => tmdbService.mapTMDBToMeta(result, type)));
+    if (type === 'movie') {
+      const watched = await traktService.getWatchedMovieIds(sessionId);
+      metas = metas.filter(meta => !traktService.isWatched(meta, watched));
+    }
+    console.log(`✅ For You ${type}: ${metas.length} titles ranked from ${candidates.length} candidates`);
+
+    await cache.set(cacheKey, metas, FOR_YOU_CACHE_TTL);
+    return metas.slice(skip, skip + PAGE_SIZE);
+  } catch (error) {
+    console.error(`❌ Error building For You ${type}:`, error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  getProfile,
+  recordPlays,
+  recordImportedPlays,
+  getForYou
+};
@@ -46,6 +46,7 @@ async function searchTMDB(title, year = null) {
     
     return {
       imdbId: imdbId,
+      tmdbId: result.id,
       type: result.media_type === 'movie' ? 'movie' : 'series',
       title: result.title || result.name,
       year: result.release_date ? parseInt(result.release_date.split('-')[0]) : 
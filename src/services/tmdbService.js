@@ -174,6 +174,42 @@ async function getNewAndPopular(type) {
   return [];
 }
 
+/**
+ * Search TMDB for movies or TV series
+ * @param {string} query - Search query
+ * @param {string} type - Content type (movie/series)
+ * @param {number} skip - Number of items to skip for pagination (default: 0)
+ * @returns {Promise<Array>} Array of metadata (max 20 items)
+ */
+async function searchTitles(query, type, skip = 0) {
+  const page = Math.floor(skip / 20) + 1; // TMDB pages are 1-indexed, 20 items per page
+  const mediaType = type === 'movie' ? 'movie' : 'tv';
+  const cacheKey = `tmdb:search:${mediaType}:${query}:page${page}`;
+  const cached = await cache.get(cacheKey);
+
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const url = `${config.tmdb.apiUrl}/search/${mediaType}?api_key=${config.tmdb.apiKey}&query=${encodeURIComponent(query)}&page=${page}`;
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`TMDB API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const metas = await Promise.all((data.results || []).map(item => mapTMDBToMeta(item, type)));
+
+    await cache.set(cacheKey, metas, config.cache.tmdbTTL);
+    return metas;
+  } catch (error) {
+    console.error(`❌ Error searching TMDB for "${query}":`, error.message);
+    return [];
+  }
+}
+
 /**
  * Map TMDB data to Stremio meta format
  * @param {object} item - TMDB item
@@ -271,17 +307,82 @@ function getGenreName(id) {
 // Newly released window: 14 days so titles don't linger too long
 const NEWLY_RELEASED_DAYS = 14;
 
+/**
+ * Resolve a user's discover settings, falling back to the defaults in config
+ * @param {object} [settings] - Session preferences discover settings
+ * @returns {object} { watchRegion, excludeLanguages, minVotes, minRating }
+ */
+function getDiscoverSettings(settings = {}) {
+  return { ...config.tmdb.discover, ...settings };
+}
+
+/**
+ * Validate discover settings submitted from the configure page
+ * @param {object} input - { watchRegion, excludeLanguages, minVotes, minRating }
+ * @returns {object} Sanitized settings
+ * @throws {Error} If a setting is out of range
+ */
+function sanitizeDiscoverSettings(input) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Discover settings must be an object');
+  }
+
+  const watchRegion = typeof input.watchRegion === 'string' ? input.watchRegion.trim().toUpperCase() : '';
+  if (watchRegion && !/^[A-Z]{2}$/.test(watchRegion)) {
+    throw new Error('Watch region must be a two-letter country code (e.g. SE)');
+  }
+
+  const languages = Array.isArray(input.excludeLanguages)
+    ? input.excludeLanguages
+    : String(input.excludeLanguages || '').split(',');
+  const excludeLanguages = [...new Set(languages.map(lang => String(lang).trim().toLowerCase()).filter(Boolean))];
+  if (excludeLanguages.some(lang => !/^[a-z]{2}$/.test(lang))) {
+    throw new Error('Excluded languages must be two-letter language codes (e.g. ja, ru)');
+  }
+
+  const minVotes = parseInt(input.minVotes, 10);
+  if (isNaN(minVotes) || minVotes < 0 || minVotes > 10000) {
+    throw new Error('Minimum votes must be between 0 and 10000');
+  }
+
+  const minRating = parseFloat(input.minRating);
+  if (isNaN(minRating) || minRating < 0 || minRating > 10) {
+    throw new Error('Minimum rating must be between 0 and 10');
+  }
+
+  return { watchRegion, excludeLanguages, minVotes, minRating };
+}
+
+/**
+ * Build the discover query parameters and cache key suffix for a user's settings
+ * @param {object} settings - Resolved discover settings
+ * @returns {{ query: string, signature: string }} Query string fragment (starting with &) and cache key part
+ */
+function buildDiscoverFilters(settings) {
+  const { watchRegion, excludeLanguages, minVotes, minRating } = settings;
+  let query = `&vote_count.gte=${minVotes}&vote_average.gte=${minRating}&vote_average.lte=10`;
+  if (watchRegion) {
+    query += `&watch_region=${watchRegion}`;
+  }
+  if (excludeLanguages.length > 0) {
+    query += `&without_original_language=${excludeLanguages.join(',')}`;
+  }
+  const signature = `${watchRegion || 'any'}:${excludeLanguages.join(',') || 'none'}:${minVotes}:${minRating}`;
+  return { query, signature };
+}
+
 /**
  * Fetch newly released popular movies (last 14 days)
  * Uses TMDB Discover endpoint with date filtering and popularity sorting
- * Filters for digital and physical releases only, with rating above 6.0
- * Excludes Tamil, Chinese, Japanese, and Russian language content
+ * Filters for digital and physical releases only; region, languages and vote thresholds come from the user's settings
  * @param {number} skip - Number of items to skip for pagination (default: 0)
+ * @param {object} [settings] - User discover settings (defaults from config)
  * @returns {Promise<Array>} Array of movie metadata sorted by popularity (max 20 items)
  */
-async function getNewlyReleasedPopular(skip = 0) {
+async function getNewlyReleasedPopular(skip = 0, settings = {}) {
   const page = Math.floor(skip / 20) + 1; // TMDB pages are 1-indexed, 20 items per page
-  const cacheKey = `tmdb:movies:newly-released-popular:page${page}`;
+  const filters = buildDiscoverFilters(getDiscoverSettings(settings));
+  const cacheKey = `tmdb:movies:newly-released-popular:${filters.signature}:page${page}`;
   const cached = await cache.get(cacheKey);
   
   if (cached) {
@@ -302,13 +403,10 @@ async function getNewlyReleasedPopular(skip = 0) {
     
     // Use discover endpoint with filters matching TMDB's website exactly
     // with_release_type: 4 = Digital, 5 = Physical (Blu-ray/DVD)
-    // watch_region=SE: Available in Sweden
-    // vote_count.gte=50: At least 50 votes for quality
-    // vote_average: 6-10 range (only good movies)
     // with_runtime: 0-400 minutes
-    // without_original_language: Exclude Tamil, Chinese, Japanese, Russian
+    // User filters: watch_region, vote_count.gte, vote_average range, without_original_language
     // page: For pagination (20 items per page)
-    const url = `${config.tmdb.apiUrl}/discover/movie?api_key=${config.tmdb.apiKey}&sort_by=popularity.desc&release_date.gte=${startDate}&release_date.lte=${endDate}&with_release_type=4|5&vote_count.gte=50&vote_average.gte=6&vote_average.lte=10&with_runtime.gte=0&with_runtime.lte=400&watch_region=SE&without_original_language=ta,zh,ja,ru&page=${page}`;
+    const url = `${config.tmdb.apiUrl}/discover/movie?api_key=${config.tmdb.apiKey}&sort_by=popularity.desc&release_date.gte=${startDate}&release_date.lte=${endDate}&with_release_type=4|5&with_runtime.gte=0&with_runtime.lte=400${filters.query}&page=${page}`;
     
     console.log(`📡 TMDB Discover URL: ${url.replace(config.tmdb.apiKey, 'API_KEY')}`);
     const response = await fetch(url);
@@ -318,7 +416,7 @@ async function getNewlyReleasedPopular(skip = 0) {
     }
 
     const data = await response.json();
-    console.log(`✅ TMDB returned ${data.results.length} newly released movies (digital/physical only, cached for 24h)`);
+    console.log(`✅ TMDB returned ${data.results.length} newly released movies (digital/physical only, filters ${filters.signature}, cached for 24h)`);
     
     // TMDB returns 20 items per page by default, perfect for our needs
     const metas = await Promise.all(data.results.map(item => mapTMDBToMeta(item, 'movie')));
@@ -337,14 +435,16 @@ async function getNewlyReleasedPopular(skip = 0) {
  * Fetch newly released popular TV shows (last 14 days)
  * Includes both brand new shows AND new seasons of existing shows
  * Filters to only shows that premiered in the last 10 years (no very old shows with new episodes)
- * Excludes Tamil, Chinese, Japanese, and Russian language content
+ * Region, languages and vote thresholds come from the user's settings
  * Uses TMDB Discover endpoint with date filtering and popularity sorting
  * @param {number} skip - Number of items to skip for pagination (default: 0)
+ * @param {object} [settings] - User discover settings (defaults from config)
  * @returns {Promise<Array>} Array of series metadata sorted by popularity (max 20 items)
  */
-async function getNewlyReleasedPopularSeries(skip = 0) {
+async function getNewlyReleasedPopularSeries(skip = 0, settings = {}) {
   const page = Math.floor(skip / 20) + 1; // TMDB pages are 1-indexed, 20 items per page
-  const cacheKey = `tmdb:series:newly-released-popular:page${page}`;
+  const filters = buildDiscoverFilters(getDiscoverSettings(settings));
+  const cacheKey = `tmdb:series:newly-released-popular:${filters.signature}:page${page}`;
   const cached = await cache.get(cacheKey);
   
   if (cached) {
@@ -371,12 +471,9 @@ async function getNewlyReleasedPopularSeries(skip = 0) {
     // Use discover endpoint for TV shows
     // air_date: Date of ANY episode airing (includes new seasons of existing shows)
     // first_air_date.gte: Only shows that premiered in the last 10 years (no very old shows)
-    // watch_region=SE: Available in Sweden
-    // vote_count.gte=50: At least 50 votes for quality
-    // vote_average: 6-10 range (only good shows)
-    // without_original_language: Exclude Tamil, Chinese, Japanese, Russian
+    // User filters: watch_region, vote_count.gte, vote_average range, without_original_language
     // page: For pagination (20 items per page)
-    const url = `${config.tmdb.apiUrl}/discover/tv?api_key=${config.tmdb.apiKey}&sort_by=popularity.desc&air_date.gte=${startDate}&air_date.lte=${endDate}&first_air_date.gte=${showMinDate}&vote_count.gte=50&vote_average.gte=6&vote_average.lte=10&watch_region=SE&without_original_language=ta,zh,ja,ru&page=${page}`;
+    const url = `${config.tmdb.apiUrl}/discover/tv?api_key=${config.tmdb.apiKey}&sort_by=popularity.desc&air_date.gte=${startDate}&air_date.lte=${endDate}&first_air_date.gte=${showMinDate}${filters.query}&page=${page}`;
     
     console.log(`📡 TMDB Discover URL: ${url.replace(config.tmdb.apiKey, 'API_KEY')}`);
     const response = await fetch(url);
@@ -386,7 +483,7 @@ async function getNewlyReleasedPopularSeries(skip = 0) {
     }
 
     const data = await response.json();
-    console.log(`✅ TMDB returned ${data.results.length} newly released popular series (from shows premiered after ${showMinDate}, rating 6+, cached for 24h)`);
+    console.log(`✅ TMDB returned ${data.results.length} newly released popular series (from shows premiered after ${showMinDate}, filters ${filters.signature}, cached for 24h)`);
     
     // Map TMDB data to Stremio meta format
     const metas = await Promise.all(
@@ -456,6 +553,364 @@ async function getHighlyRatedDocumentaryMovies(skip = 0) {
   }
 }
 
+/**
+ * Fetch titles similar to a given title (TMDB recommendations, falling back to similar titles)
+ * @param {string|number} tmdbId - TMDB ID of the seed title
+ * @param {string} type - Content type (movie/series)
+ * @returns {Promise<Array>} Array of metadata (up to 40 items)
+ */
+async function getRecommendationsFor(tmdbId, type) {
+  const mediaType = type === 'movie' ? 'movie' : 'tv';
+  const cacheKey = `tmdb:${mediaType}:recommendations:${tmdbId}`;
+  const cached = await cache.get(cacheKey);
+
+  if (cached) {
+    console.log(`💾 Serving TMDB recommendations for ${mediaType} ${tmdbId} from cache (Redis)`);
+    return cached;
+  }
+
+  try {
+    let results = [];
+    for (const endpoint of ['recommendations', 'similar']) {
+      for (const page of [1, 2]) {
+        const url = `${config.tmdb.apiUrl}/${mediaType}/${tmdbId}/${endpoint}?api_key=${config.tmdb.apiKey}&page=${page}`;
+        const response = await fetch(url);
+        if (!response.ok) {
+          throw new Error(`TMDB API error: ${response.status}`);
+        }
+        const data = await response.json();
+        results = results.concat(data.results || []);
+        if (page >= (data.total_pages || 1)) {
+          break;
+        }
+      }
+      // Recommendations are usually better; similar titles are only used when there are none
+      if (results.length > 0) {
+        break;
+      }
+    }
+
+    console.log(`✅ TMDB returned ${results.length} recommendations for ${mediaType} ${tmdbId}`);
+    const metas = await Promise.all(results.map(item => mapTMDBToMeta(item, type)));
+
+    await cache.set(cacheKey, metas, config.cache.tmdbTTL);
+    return metas;
+  } catch (error) {
+    console.error(`❌ Error fetching TMDB recommendations for ${mediaType} ${tmdbId}:`, error.message);
+    return [];
+  }
+}
+
+// Title features change rarely: cache them for a week
+const FEATURES_CACHE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Fetch the features of a title used for taste profiles: genres, keywords, decade, directors and cast
+ * @param {string|number} tmdbId - TMDB ID
+ * @param {string} type - Content type (movie/series)
+ * @returns {Promise<object|null>} { genres, keywords, decade, directors, cast } (names/IDs as strings) or null
+ */
+async function getTitleFeatures(tmdbId, type) {
+  const mediaType = type === 'movie' ? 'movie' : 'tv';
+  const cacheKey = `tmdb:features:${mediaType}:${tmdbId}`;
+  const cached = await cache.get(cacheKey);
+
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const url = `${config.tmdb.apiUrl}/${mediaType}/${tmdbId}?api_key=${config.tmdb.apiKey}&append_to_response=keywords,credits`;
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`TMDB API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const releaseDate = type === 'movie' ? data.release_date : data.first_air_date;
+    // Movies list keywords under "keywords", TV under "results"
+    const keywords = data.keywords?.keywords || data.keywords?.results || [];
+    // Series have creators rather than directors
+    const directors = type === 'movie'
+      ? (data.credits?.crew || []).filter(member => member.job === 'Director')
+      : (data.created_by || []);
+
+    const features = {
+      genres: (data.genres || []).map(genre => genre.name),
+      keywords: keywords.slice(0, 20).map(keyword => String(keyword.id)),
+      decade: releaseDate ? `${releaseDate.substring(0, 3)}0s` : null,
+      directors: directors.map(person => String(person.id)),
+      cast: (data.credits?.cast || []).slice(0, 5).map(actor => String(actor.id))
+    };
+
+    await cache.set(cacheKey, features, FEATURES_CACHE_TTL);
+    return features;
+  } catch (error) {
+    console.error(`❌ Error fetching TMDB features for ${mediaType} ${tmdbId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Find the TMDB ID of a title by its IMDB ID
+ * @param {string} imdbId - IMDB ID (e.g. "tt1234567")
+ * @param {string} type - Content type (movie/series)
+ * @returns {Promise<number|null>} TMDB ID or null if not found
+ */
+async function findByImdbId(imdbId, type) {
+  const cacheKey = `tmdb:find:${imdbId}`;
+  const cached = await cache.get(cacheKey);
+
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const url = `${config.tmdb.apiUrl}/find/${imdbId}?api_key=${config.tmdb.apiKey}&external_source=imdb_id`;
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`TMDB API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const result = (type === 'movie' ? data.movie_results : data.tv_results)?.[0];
+    if (!result) {
+      return null;
+    }
+
+    await cache.set(cacheKey, result.id, FEATURES_CACHE_TTL);
+    return result.id;
+  } catch (error) {
+    console.error(`❌ Error finding TMDB ID for ${imdbId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the runtime of a movie or episode
+ * Episodes use their own runtime, or the show's typical episode runtime when TMDB has none
+ * @param {string} imdbId - IMDB ID of the movie or show
+ * @param {string} type - Content type (movie/series)
+ * @param {number} [season] - Season number (series)
+ * @param {number} [episode] - Episode number (series)
+ * @returns {Promise<number|null>} Runtime in minutes or null if unknown
+ */
+async function getRuntime(imdbId, type, season = null, episode = null) {
+  const cacheKey = type === 'movie' ? `tmdb:runtime:${imdbId}` : `tmdb:runtime:${imdbId}:${season}:${episode}`;
+  const cached = await cache.get(cacheKey);
+
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const tmdbId = await findByImdbId(imdbId, type);
+    if (!tmdbId) {
+      return null;
+    }
+
+    let runtime = null;
+    if (type === 'movie') {
+      const response = await fetch(`${config.tmdb.apiUrl}/movie/${tmdbId}?api_key=${config.tmdb.apiKey}`);
+      if (!response.ok) {
+        throw new Error(`TMDB API error: ${response.status}`);
+      }
+      runtime = (await response.json()).runtime || null;
+    } else {
+      const response = await fetch(`${config.tmdb.apiUrl}/tv/${tmdbId}/season/${season}/episode/${episode}?api_key=${config.tmdb.apiKey}`);
+      if (response.ok) {
+        runtime = (await response.json()).runtime || null;
+      }
+      if (!runtime) {
+        const showResponse = await fetch(`${config.tmdb.apiUrl}/tv/${tmdbId}?api_key=${config.tmdb.apiKey}`);
+        if (!showResponse.ok) {
+          throw new Error(`TMDB API error: ${showResponse.status}`);
+        }
+        runtime = (await showResponse.json()).episode_run_time?.[0] || null;
+      }
+    }
+
+    if (runtime) {
+      await cache.set(cacheKey, runtime, FEATURES_CACHE_TTL);
+    }
+    return runtime;
+  } catch (error) {
+    console.error(`❌ Error fetching TMDB runtime for ${imdbId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get TMDB's genre list for a content type as a name → ID map
+ * @param {string} type - Content type (movie/series)
+ * @returns {Promise<object>} Map of genre name to TMDB genre ID
+ */
+async function getGenreIds(type) {
+  const mediaType = type === 'movie' ? 'movie' : 'tv';
+  const cacheKey = `tmdb:genres:${mediaType}`;
+  const cached = await cache.get(cacheKey);
+
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const response = await fetch(`${config.tmdb.apiUrl}/genre/${mediaType}/list?api_key=${config.tmdb.apiKey}`);
+
+    if (!response.ok) {
+      throw new Error(`TMDB API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const genreIds = Object.fromEntries((data.genres || []).map(genre => [genre.name, genre.id]));
+
+    await cache.set(cacheKey, genreIds, FEATURES_CACHE_TTL);
+    return genreIds;
+  } catch (error) {
+    console.error(`❌ Error fetching TMDB ${mediaType} genres:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Run a TMDB discover query and return the raw results (for scoring before mapping to metas)
+ * @param {string} type - Content type (movie/series)
+ * @param {string} params - Extra discover query parameters (e.g. "&with_genres=18|80")
+ * @param {number} page - Page number (default: 1)
+ * @returns {Promise<Array>} Array of raw TMDB results
+ */
+async function discoverTitles(type, params, page = 1) {
+  const mediaType = type === 'movie' ? 'movie' : 'tv';
+
+  try {
+    const url = `${config.tmdb.apiUrl}/discover/${mediaType}?api_key=${config.tmdb.apiKey}&sort_by=popularity.desc${params}&page=${page}`;
+    console.log(`📡 TMDB Discover URL: ${url.replace(config.tmdb.apiKey, 'API_KEY')}`);
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`TMDB API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.results || [];
+  } catch (error) {
+    console.error(`❌ Error discovering TMDB ${mediaType}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Fetch full details for a title and map them to a Stremio meta (detail page)
+ * Includes cast, director, runtime, trailers and, for series, the episode list as videos
+ * @param {string|number} tmdbId - TMDB ID
+ * @param {string} type - Content type (movie/series)
+ * @param {string} [metaId] - ID to return the meta under (defaults to tmdb:<id>)
+ * @returns {Promise<object|null>} Stremio meta object or null if not found
+ */
+async function getMetaDetails(tmdbId, type, metaId = null) {
+  const cacheKey = `tmdb:meta:${type}:${tmdbId}`;
+  const cached = await cache.get(cacheKey);
+
+  if (cached) {
+    return { ...cached, id: metaId || cached.id };
+  }
+
+  try {
+    const mediaType = type === 'movie' ? 'movie' : 'tv';
+    const url = `${config.tmdb.apiUrl}/${mediaType}/${tmdbId}?api_key=${config.tmdb.apiKey}&append_to_response=external_ids,credits,videos`;
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`TMDB API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const imdbId = data.external_ids?.imdb_id || null;
+    const releaseDate = type === 'movie' ? data.release_date : data.first_air_date;
+    const runtime = type === 'movie' ? data.runtime : (data.episode_run_time || [])[0];
+
+    const meta = {
+      id: `tmdb:${data.id}`,
+      type: type,
+      name: type === 'movie' ? data.title : data.name,
+      poster: data.poster_path ? `${config.tmdb.imageBaseUrl}/w500${data.poster_path}` : undefined,
+      background: data.backdrop_path ? `${config.tmdb.imageBaseUrl}/w1280${data.backdrop_path}` : undefined,
+      description: data.overview || '',
+      releaseInfo: releaseDate ? releaseDate.substring(0, 4) : '',
+      released: releaseDate ? new Date(releaseDate).toISOString() : undefined,
+      imdbRating: data.vote_average ? data.vote_average.toFixed(1) : undefined,
+      runtime: runtime ? `${runtime} min` : undefined,
+      genres: (data.genres || []).map(g => g.name),
+      cast: (data.credits?.cast || []).slice(0, 10).map(actor => actor.name),
+      director: (data.credits?.crew || []).filter(member => member.job === 'Director').map(member => member.name),
+      trailers: (data.videos?.results || [])
+        .filter(video => video.site === 'YouTube' && video.type === 'Trailer')
+        .slice(0, 3)
+        .map(video => ({ source: video.key, type: 'Trailer' }))
+    };
+
+    if (imdbId) {
+      meta.imdb_id = imdbId;
+    }
+
+    if (type === 'movie') {
+      // Let Stremio request streams by IMDB ID so stream add-ons (and watch syncing) work
+      if (imdbId) {
+        meta.behaviorHints = { defaultVideoId: imdbId };
+      }
+    } else {
+      meta.videos = await getSeriesVideos(data, imdbId || meta.id);
+    }
+
+    console.log(`✅ TMDB meta for ${meta.name} (${type})${meta.videos ? ` with ${meta.videos.length} episodes` : ''}`);
+
+    await cache.set(cacheKey, meta, config.cache.tmdbTTL);
+    return { ...meta, id: metaId || meta.id };
+  } catch (error) {
+    console.error(`❌ Error fetching TMDB meta for ${type} ${tmdbId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Fetch all regular seasons of a show and map episodes to Stremio videos
+ * @param {object} show - TMDB TV details
+ * @param {string} videoIdPrefix - Prefix for video IDs (IMDB ID preferred so stream add-ons resolve episodes)
+ * @returns {Promise<Array>} Array of Stremio video objects
+ */
+async function getSeriesVideos(show, videoIdPrefix) {
+  const seasonNumbers = (show.seasons || [])
+    .map(season => season.season_number)
+    .filter(number => number > 0); // Skip specials
+
+  const seasons = await Promise.all(seasonNumbers.map(async (seasonNumber) => {
+    try {
+      const url = `${config.tmdb.apiUrl}/tv/${show.id}/season/${seasonNumber}?api_key=${config.tmdb.apiKey}`;
+      const response = await fetch(url);
+      if (!response.ok) {
+        return [];
+      }
+      const data = await response.json();
+      return data.episodes || [];
+    } catch (error) {
+      console.warn(`Failed to fetch season ${seasonNumber} for TMDB ${show.id}:`, error.message);
+      return [];
+    }
+  }));
+
+  return seasons.flat().map(episode => ({
+    id: `${videoIdPrefix}:${episode.season_number}:${episode.episode_number}`,
+    title: episode.name || `Episode ${episode.episode_number}`,
+    season: episode.season_number,
+    episode: episode.episode_number,
+    released: episode.air_date ? new Date(episode.air_date).toISOString() : undefined,
+    overview: episode.overview || undefined,
+    thumbnail: episode.still_path ? `${config.tmdb.imageBaseUrl}/w300${episode.still_path}` : undefined
+  }));
+}
+
 module.exports = {
   getTrendingMovies,
   getTrendingSeries,
@@ -464,6 +919,17 @@ module.exports = {
   getNewAndPopular,
   getNewlyReleasedPopular,
   getNewlyReleasedPopularSeries,
-  getHighlyRatedDocumentaryMovies
+  getDiscoverSettings,
+  sanitizeDiscoverSettings,
+  getHighlyRatedDocumentaryMovies,
+  searchTitles,
+  getRecommendationsFor,
+  getTitleFeatures,
+  findByImdbId,
+  getRuntime,
+  getGenreIds,
+  discoverTitles,
+  mapTMDBToMeta,
+  getMetaDetails
 };
 
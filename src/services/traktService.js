@@ -2,6 +2,7 @@ const fetch = require('node-fetch');
 const { config } = require('../config');
 const cache = require('../utils/cache');
 const tokenManager = require('../utils/tokenManager');
+const tmdbService = require('./tmdbService');
 
 // Helper to get TMDB poster and lightweight background (optimized for TV performance)
 async function getTMDBData(tmdbId, type) {
@@ -66,20 +67,48 @@ async function getTraktHeaders(sessionId = null) {
   return headers;
 }
 
+/**
+ * Convert a Stremio genre option to a Trakt genre slug (e.g. "Science Fiction" → "science-fiction")
+ * @param {string} [genre] - Genre option selected in Stremio
+ * @returns {string|null} Trakt genre slug or null if no genre selected
+ */
+function getGenreSlug(genre) {
+  if (!genre) {
+    return null;
+  }
+  return genre.trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Filter metas to a genre (Trakt metas carry genre slugs)
+ * @param {Array} metas - Array of Stremio metas
+ * @param {string|null} genreSlug - Trakt genre slug, or null for no filter
+ * @returns {Array} Filtered metas
+ */
+function filterByGenre(metas, genreSlug) {
+  if (!genreSlug) {
+    return metas;
+  }
+  return metas.filter(meta => Array.isArray(meta.genres) && meta.genres.includes(genreSlug));
+}
+
 /**
  * Fetch recommendations for movies
+ * Fetches up to 100 recommendations once per cache cycle and pages through them locally,
+ * so a genre filter can be applied without short pages
  * @param {string} sessionId - User session ID
  * @param {number} skip - Number of items to skip for pagination (default: 0)
+ * @param {string} [genre] - Genre to filter by (optional)
  * @returns {Promise<Array>} Array of movie metadata (max 20 items)
  */
-async function getMovieRecommendations(sessionId, skip = 0) {
-  const page = Math.floor(skip / 20) + 1; // Calculate page number (20 items per page)
-  const cacheKey = `trakt:movies:recommendations:${sessionId}:page${page}`;
+async function getMovieRecommendations(sessionId, skip = 0, genre = null) {
+  const genreSlug = getGenreSlug(genre);
+  const cacheKey = `trakt:movies:recommendations:${sessionId}`;
   const cached = await cache.get(cacheKey);
   
   if (cached) {
-    console.log(`💾 Serving Trakt movie recommendations page ${page} from cache (Redis)`);
-    return cached;
+    console.log(`💾 Serving Trakt movie recommendations (skip=${skip}${genreSlug ? ', genre=' + genreSlug : ''}) from cache (Redis)`);
+    return filterByGenre(cached, genreSlug).slice(skip, skip + PAGE_SIZE);
   }
 
   try {
@@ -87,60 +116,63 @@ async function getMovieRecommendations(sessionId, skip = 0) {
     const isAuth = await tokenManager.isAuthenticated(sessionId);
     if (!isAuth) {
       console.warn('⚠️  Not authenticated with Trakt, using trending instead');
-      return getTrendingMovies(skip);
+      return getTrendingMovies(skip, genre);
     }
-
-    console.log(`🔍 Fetching FRESH Trakt movie recommendations from API (page ${page})...`);
+    
+    console.log('🔍 Fetching FRESH Trakt movie recommendations from API...');
     // Match website behavior: ignore collected/watchlisted items
-    const url = `${config.trakt.apiUrl}/recommendations/movies?extended=full&limit=20&page=${page}&ignore_collected=true&ignore_watchlisted=true`;
+    const url = `${config.trakt.apiUrl}/recommendations/movies?extended=full&limit=${RECOMMENDATIONS_LIMIT}&ignore_collected=true&ignore_watchlisted=true`;
     const headers = await getTraktHeaders(sessionId);
     console.log(`📡 Trakt URL: ${url}`);
     const response = await fetch(url, { headers });
-
+    
     if (!response.ok) {
       console.error(`❌ Trakt API error: ${response.status} ${response.statusText}`);
       const errorText = await response.text();
       console.error(`Response: ${errorText}`);
       if (response.status === 401) {
         console.warn('⚠️  Trakt token expired or invalid, falling back to trending');
-        return getTrendingMovies();
+        return getTrendingMovies(skip, genre);
       }
       throw new Error(`Trakt API error: ${response.status}`);
     }
-
+    
     const data = await response.json();
     console.log(`✅ Trakt returned ${data.length} movie recommendations (cached for 30 min)`);
     
     // If no recommendations, fall back to trending
     if (data.length === 0) {
       console.warn('⚠️  No personal recommendations found, using trending movies');
-      return getTrendingMovies(skip);
+      return getTrendingMovies(skip, genre);
     }
     
-    const metas = await Promise.all(data.map(item => mapTraktToMeta(item, 'movie')));
+    const metas = await mapInBatches(data, item => mapTraktToMeta(item, 'movie'));
     
     await cache.set(cacheKey, metas, config.cache.traktTTL);
-    return metas;
+    return filterByGenre(metas, genreSlug).slice(skip, skip + PAGE_SIZE);
   } catch (error) {
     console.error('Error fetching Trakt movie recommendations:', error.message);
-    return getTrendingMovies(skip); // Fallback to trending
+    return getTrendingMovies(skip, genre); // Fallback to trending
   }
 }
 
 /**
  * Fetch recommendations for series
+ * Fetches up to 100 recommendations once per cache cycle and pages through them locally,
+ * so shows the user already finished or dropped can be removed without short pages
  * @param {string} sessionId - User session ID
  * @param {number} skip - Number of items to skip for pagination (default: 0)
+ * @param {string} [genre] - Genre to filter by (optional)
  * @returns {Promise<Array>} Array of series metadata (max 20 items)
  */
-async function getSeriesRecommendations(sessionId, skip = 0) {
-  const page = Math.floor(skip / 20) + 1; // Calculate page number (20 items per page)
-  const cacheKey = `trakt:series:recommendations:${sessionId}:page${page}`;
+async function getSeriesRecommendations(sessionId, skip = 0, genre = null) {
+  const genreSlug = getGenreSlug(genre);
+  const cacheKey = `trakt:series:recommendations:${sessionId}`;
   const cached = await cache.get(cacheKey);
   
   if (cached) {
-    console.log(`💾 Serving Trakt series recommendations page ${page} from cache (Redis)`);
-    return cached;
+    console.log(`💾 Serving Trakt series recommendations (skip=${skip}${genreSlug ? ', genre=' + genreSlug : ''}) from cache (Redis)`);
+    return filterByGenre(cached, genreSlug).slice(skip, skip + PAGE_SIZE);
   }
 
   try {
@@ -148,12 +180,12 @@ async function getSeriesRecommendations(sessionId, skip = 0) {
     const isAuth = await tokenManager.isAuthenticated(sessionId);
     if (!isAuth) {
       console.warn('⚠️  Not authenticated with Trakt, using trending instead');
-      return getTrendingSeries(skip);
+      return getTrendingSeries(skip, genre);
     }
 
-    console.log(`🔍 Fetching FRESH Trakt series recommendations from API (page ${page})...`);
+    console.log('🔍 Fetching FRESH Trakt series recommendations from API...');
     // Match website behavior: ignore collected/watchlisted items
-    const url = `${config.trakt.apiUrl}/recommendations/shows?extended=full&limit=20&page=${page}&ignore_collected=true&ignore_watchlisted=true`;
+    const url = `${config.trakt.apiUrl}/recommendations/shows?extended=full&limit=${RECOMMENDATIONS_LIMIT}&ignore_collected=true&ignore_watchlisted=true`;
     const headers = await getTraktHeaders(sessionId);
     console.log(`📡 Trakt URL: ${url}`);
     const response = await fetch(url, { headers });
@@ -162,7 +194,7 @@ async function getSeriesRecommendations(sessionId, skip = 0) {
       console.error(`❌ Trakt API error: ${response.status} ${response.statusText}`);
       if (response.status === 401) {
         console.warn('⚠️  Trakt token expired or invalid, falling back to trending');
-        return getTrendingSeries(skip);
+        return getTrendingSeries(skip, genre);
       }
       throw new Error(`Trakt API error: ${response.status}`);
     }
@@ -173,27 +205,37 @@ async function getSeriesRecommendations(sessionId, skip = 0) {
     // If no recommendations, fall back to trending
     if (data.length === 0) {
       console.warn('⚠️  No personal recommendations found, using trending series');
-      return getTrendingSeries(skip);
+      return getTrendingSeries(skip, genre);
     }
     
-    const metas = await Promise.all(data.map(item => mapTraktToMeta(item, 'series')));
+    // Hide shows the user has already finished or dropped
+    const [completed, dropped] = await Promise.all([
+      getCompletedShowIds(sessionId),
+      getDroppedShowIds(sessionId)
+    ]);
+    const visible = data.filter(show => !hasTraktIds(show, completed) && !hasTraktIds(show, dropped));
+    console.log(`✅ Series recommendations: ${visible.length} after hiding ${data.length - visible.length} finished/dropped shows`);
+    
+    const metas = await mapInBatches(visible, item => mapTraktToMeta(item, 'series'));
     
     await cache.set(cacheKey, metas, config.cache.traktTTL);
-    return metas;
+    return filterByGenre(metas, genreSlug).slice(skip, skip + PAGE_SIZE);
   } catch (error) {
     console.error('Error fetching Trakt series recommendations:', error.message);
-    return getTrendingSeries(skip); // Fallback to trending
+    return getTrendingSeries(skip, genre); // Fallback to trending
   }
 }
 
 /**
  * Fetch trending movies as fallback
  * @param {number} skip - Number of items to skip for pagination (default: 0)
+ * @param {string} [genre] - Genre to filter by (optional, filtered by Trakt)
  * @returns {Promise<Array>} Array of movie metadata (max 20 items)
  */
-async function getTrendingMovies(skip = 0) {
+async function getTrendingMovies(skip = 0, genre = null) {
   const page = Math.floor(skip / 20) + 1; // Calculate page number (20 items per page)
-  const cacheKey = `trakt:movies:trending:page${page}`;
+  const genreSlug = getGenreSlug(genre);
+  const cacheKey = `trakt:movies:trending:${genreSlug ? genreSlug + ':' : ''}page${page}`;
   const cached = await cache.get(cacheKey);
   
   if (cached) {
@@ -203,7 +245,10 @@ async function getTrendingMovies(skip = 0) {
 
   try {
     console.log(`🔍 Fetching FRESH Trakt trending movies from API (page ${page})...`);
-    const url = `${config.trakt.apiUrl}/movies/trending?extended=full&limit=20&page=${page}`;
+    let url = `${config.trakt.apiUrl}/movies/trending?extended=full&limit=20&page=${page}`;
+    if (genreSlug) {
+      url += `&genres=${genreSlug}`;
+    }
     const headers = await getTraktHeaders();
     const response = await fetch(url, { headers });
 
@@ -227,11 +272,13 @@ async function getTrendingMovies(skip = 0) {
 /**
  * Fetch trending series as fallback
  * @param {number} skip - Number of items to skip for pagination (default: 0)
+ * @param {string} [genre] - Genre to filter by (optional, filtered by Trakt)
  * @returns {Promise<Array>} Array of series metadata (max 20 items)
  */
-async function getTrendingSeries(skip = 0) {
+async function getTrendingSeries(skip = 0, genre = null) {
   const page = Math.floor(skip / 20) + 1; // Calculate page number (20 items per page)
-  const cacheKey = `trakt:series:trending:page${page}`;
+  const genreSlug = getGenreSlug(genre);
+  const cacheKey = `trakt:series:trending:${genreSlug ? genreSlug + ':' : ''}page${page}`;
   const cached = await cache.get(cacheKey);
   
   if (cached) {
@@ -241,7 +288,10 @@ async function getTrendingSeries(skip = 0) {
 
   try {
     console.log(`🔍 Fetching FRESH Trakt trending series from API (page ${page})...`);
-    const url = `${config.trakt.apiUrl}/shows/trending?extended=full&limit=20&page=${page}`;
+    let url = `${config.trakt.apiUrl}/shows/trending?extended=full&limit=20&page=${page}`;
+    if (genreSlug) {
+      url += `&genres=${genreSlug}`;
+    }
     const headers = await getTraktHeaders();
     const response = await fetch(url, { headers });
 
@@ -262,6 +312,140 @@ async function getTrendingSeries(skip = 0) {
   }
 }
 
+// Trakt charts offered as opt-in catalogs (chart name → API path segment)
+const TRAKT_CHARTS = {
+  anticipated: 'anticipated',
+  popular: 'popular',
+  'watched-weekly': 'watched/weekly',
+  'watched-monthly': 'watched/monthly',
+  boxoffice: 'boxoffice' // Movies only, always the weekend's top 10
+};
+
+/**
+ * Fetch a Trakt chart (most anticipated, popular, most watched or box office)
+ * Same caching and pagination as trending; box office has a single page of 10
+ * @param {string} chart - Chart name (key of TRAKT_CHARTS)
+ * @param {string} type - Content type (movie/series)
+ * @param {number} skip - Number of items to skip for pagination (default: 0)
+ * @param {string} [genre] - Genre to filter by (optional, filtered by Trakt)
+ * @returns {Promise<Array>} Array of metadata (max 20 items)
+ */
+async function getChart(chart, type, skip = 0, genre = null) {
+  const chartPath = TRAKT_CHARTS[chart];
+  if (!chartPath || (chart === 'boxoffice' && type !== 'movie')) {
+    console.warn(`⚠️  Unknown Trakt chart: ${chart} (${type})`);
+    return [];
+  }
+  if (chart === 'boxoffice' && skip > 0) {
+    return [];
+  }
+
+  const page = Math.floor(skip / 20) + 1; // Calculate page number (20 items per page)
+  const genreSlug = getGenreSlug(genre);
+  const traktType = type === 'movie' ? 'movies' : 'shows';
+  const cacheType = type === 'movie' ? 'movies' : 'series';
+  const cacheKey = `trakt:${cacheType}:${chart}:${genreSlug ? genreSlug + ':' : ''}page${page}`;
+  const cached = await cache.get(cacheKey);
+  
+  if (cached) {
+    console.log(`💾 Serving Trakt ${chart} ${cacheType} page ${page} from cache (Redis)`);
+    return cached;
+  }
+
+  try {
+    console.log(`🔍 Fetching FRESH Trakt ${chart} ${cacheType} from API (page ${page})...`);
+    let url = `${config.trakt.apiUrl}/${traktType}/${chartPath}?extended=full&limit=20&page=${page}`;
+    if (genreSlug) {
+      url += `&genres=${genreSlug}`;
+    }
+    const headers = await getTraktHeaders();
+    const response = await fetch(url, { headers });
+
+    if (!response.ok) {
+      console.error(`❌ Trakt ${chart} API error: ${response.status} ${response.statusText}`);
+      throw new Error(`Trakt API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    console.log(`✅ Trakt returned ${data.length} ${chart} ${cacheType} (cached for 30 min)`);
+    // Popular returns bare items, the other charts wrap them ({ movie } / { show })
+    const metas = await Promise.all(data.map(item => mapTraktToMeta(item.movie || item.show || item, type)));
+    
+    await cache.set(cacheKey, metas, config.cache.traktTTL);
+    return metas;
+  } catch (error) {
+    console.error(`❌ Error fetching Trakt ${chart} ${cacheType}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Search Trakt for movies or shows
+ * Falls back to TMDB search if Trakt is unavailable
+ * @param {string} query - Search query
+ * @param {string} type - Content type (movie/series)
+ * @param {number} skip - Number of items to skip for pagination (default: 0)
+ * @returns {Promise<Array>} Array of metadata (max 20 items)
+ */
+async function searchTrakt(query, type, skip = 0) {
+  const page = Math.floor(skip / 20) + 1; // Calculate page number (20 items per page)
+  const searchType = type === 'movie' ? 'movie' : 'show';
+  const normalizedQuery = query.trim().toLowerCase();
+  const cacheKey = `trakt:search:${searchType}:${normalizedQuery}:page${page}`;
+  const cached = await cache.get(cacheKey);
+  
+  if (cached) {
+    console.log(`💾 Serving Trakt ${searchType} search "${normalizedQuery}" page ${page} from cache (Redis)`);
+    return cached;
+  }
+
+  try {
+    console.log(`🔍 Searching Trakt ${searchType}s for "${normalizedQuery}" (page ${page})...`);
+    const url = `${config.trakt.apiUrl}/search/${searchType}?query=${encodeURIComponent(normalizedQuery)}&extended=full&limit=20&page=${page}`;
+    const headers = await getTraktHeaders();
+    const response = await fetch(url, { headers });
+
+    if (!response.ok) {
+      console.error(`❌ Trakt search API error: ${response.status} ${response.statusText}`);
+      throw new Error(`Trakt API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    console.log(`✅ Trakt returned ${data.length} ${searchType} results (cached for 30 min)`);
+    const metas = await Promise.all(data.map(item => mapTraktToMeta(item[searchType], type)));
+    
+    await cache.set(cacheKey, metas, config.cache.traktTTL);
+    return metas;
+  } catch (error) {
+    console.error('❌ Error searching Trakt, falling back to TMDB:', error.message);
+    return tmdbService.searchTitles(normalizedQuery, type, skip);
+  }
+}
+
+/**
+ * Flag titles the user has already watched (movies watched, shows fully watched)
+ * Stremio has no watched field for catalog items, so the flag goes into the description
+ * @param {Array} metas - Array of Stremio metas
+ * @param {string} type - Content type (movie/series)
+ * @param {string} sessionId - User session ID (OAuth)
+ * @returns {Promise<Array>} Metas with watched ones flagged
+ */
+async function addWatchedFlags(metas, type, sessionId) {
+  const watched = type === 'movie'
+    ? await getWatchedMovieIds(sessionId)
+    : await getCompletedShowIds(sessionId);
+
+  return metas.map(meta => {
+    if (!isWatched(meta, watched)) {
+      return meta;
+    }
+    return {
+      ...meta,
+      description: `✓ Watched on Trakt${meta.description ? ` · ${meta.description}` : ''}`
+    };
+  });
+}
+
 /**
  * Map Trakt data to Stremio meta format
  * @param {object} item - Trakt item
@@ -300,17 +484,94 @@ async function mapTraktToMeta(item, type) {
   return meta;
 }
 
+/**
+ * Fetch a single movie or show summary from Trakt (used to resolve trakt: IDs)
+ * @param {string|number} traktId - Trakt ID or slug
+ * @param {string} type - Content type (movie/series)
+ * @returns {Promise<object|null>} Trakt item (with ids) or null if not found
+ */
+async function getTraktItem(traktId, type) {
+  const cacheKey = `trakt:item:${type}:${traktId}`;
+  const cached = await cache.get(cacheKey);
+
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const endpoint = type === 'movie' ? 'movies' : 'shows';
+    const url = `${config.trakt.apiUrl}/${endpoint}/${encodeURIComponent(traktId)}?extended=full`;
+    const headers = await getTraktHeaders();
+    const response = await fetch(url, { headers });
+
+    if (!response.ok) {
+      console.error(`❌ Trakt API error: ${response.status} ${response.statusText}`);
+      return null;
+    }
+
+    const item = await response.json();
+    await cache.set(cacheKey, item, config.cache.traktTTL);
+    return item;
+  } catch (error) {
+    console.error(`❌ Error fetching Trakt ${type} ${traktId}:`, error.message);
+    return null;
+  }
+}
+
+// Sort orders for list catalogs: the list's own rank order or a chosen field
+const LIST_SORTS = {
+  rank: (a, b) => (a.rank || 0) - (b.rank || 0),
+  added: (a, b) => new Date(b.listed_at) - new Date(a.listed_at),
+  title: (a, b) => (a.item.title || '').localeCompare(b.item.title || ''),
+  released: (a, b) => (b.item.year || 0) - (a.item.year || 0),
+  rating: (a, b) => (b.item.rating || 0) - (a.item.rating || 0)
+};
+const LIST_SORT_OPTIONS = Object.keys(LIST_SORTS);
+const LIST_ITEMS_LIMIT = 500; // Items fetched per user list catalog
+
+/**
+ * Fetch the raw items of one type from a Trakt list, sorted
+ * @param {string} listPath - API path of the list (e.g. "/users/cdtv/lists/slug" or "/lists/123")
+ * @param {string} type - Content type (movie/series)
+ * @param {number} limit - Maximum number of items to fetch
+ * @param {object} headers - Trakt headers (with OAuth token for private lists)
+ * @param {string} [sort] - Sort order from LIST_SORT_OPTIONS (default: list rank)
+ * @returns {Promise<Array>} Array of Trakt movies/shows
+ * @throws {Error} If the Trakt API request fails
+ */
+async function fetchListItems(listPath, type, limit, headers, sort = null) {
+  const itemKey = type === 'movie' ? 'movie' : 'show';
+  const url = `${config.trakt.apiUrl}${listPath}/items/${itemKey}?extended=full&limit=${limit}`;
+  console.log(`📡 Trakt List URL: ${url}`);
+  const response = await fetch(url, { headers });
+
+  if (!response.ok) {
+    console.error(`❌ Trakt API error: ${response.status} ${response.statusText}`);
+    throw new Error(`Trakt API error: ${response.status}`);
+  }
+
+  const data = await response.json();
+
+  // List items have the movie/show object nested
+  return (data || [])
+    .filter(entry => entry[itemKey] && entry[itemKey].ids)
+    .map(entry => ({ rank: entry.rank, listed_at: entry.listed_at, item: entry[itemKey] }))
+    .sort(LIST_SORTS[sort] || LIST_SORTS.rank)
+    .map(entry => entry.item);
+}
+
 /**
  * Fetch items from a public Trakt list
  * @param {string} username - Trakt username
  * @param {string} listSlug - List slug/ID
  * @param {number} cacheTTL - Optional cache TTL in milliseconds (defaults to 30 min)
- * @param {string} sort - Optional sort parameter (e.g., 'popularity,desc')
+ * @param {string} sort - Optional sort order from LIST_SORT_OPTIONS (default: list rank)
  * @param {number} limit - Optional limit for number of items (default: 50)
- * @returns {Promise<Array>} Array of movie metadata
+ * @param {string} type - Optional content type (movie/series, default: movie)
+ * @returns {Promise<Array>} Array of metadata
  */
-async function getPublicList(username, listSlug, cacheTTL = config.cache.traktTTL, sort = null, limit = 50) {
-  const cacheKey = `trakt:list:${username}:${listSlug}${sort ? ':' + sort : ''}:${limit}`;
+async function getPublicList(username, listSlug, cacheTTL = config.cache.traktTTL, sort = null, limit = 50, type = 'movie') {
+  const cacheKey = `trakt:list:${username}:${listSlug}${type === 'movie' ? '' : ':' + type}${sort ? ':' + sort : ''}:${limit}`;
   const cached = await cache.get(cacheKey);
   
   if (cached) {
@@ -322,30 +583,11 @@ async function getPublicList(username, listSlug, cacheTTL = config.cache.traktTT
     const cacheHours = Math.floor(cacheTTL / (1000 * 60 * 60));
     console.log(`🔍 Fetching FRESH Trakt list: ${username}/${listSlug} from API...`);
     
-    // Build URL with sort and limit parameters
-    let url = `${config.trakt.apiUrl}/users/${username}/lists/${listSlug}/items/movie?limit=${limit}`;
-    if (sort) {
-      url += `&sort=${sort}`;
-    }
-    
     const headers = await getTraktHeaders();
-    console.log(`📡 Trakt List URL: ${url}`);
-    const response = await fetch(url, { headers });
-
-    if (!response.ok) {
-      console.error(`❌ Trakt API error: ${response.status} ${response.statusText}`);
-      throw new Error(`Trakt API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    console.log(`✅ Trakt returned ${data.length} items from list${sort ? ' (sorted by ' + sort + ')' : ''} (cached for ${cacheHours}h)`);
+    const items = await fetchListItems(`/users/${username}/lists/${listSlug}`, type, limit, headers, sort);
+    console.log(`✅ Trakt returned ${items.length} items from list${sort ? ' (sorted by ' + sort + ')' : ''} (cached for ${cacheHours}h)`);
     
-    // Map list items to metas
-    const metas = await Promise.all(data.map(item => {
-      // List items have the movie object nested
-      const movie = item.movie;
-      return mapTraktToMeta(movie, 'movie');
-    }));
+    const metas = await Promise.all(items.map(item => mapTraktToMeta(item, type)));
     
     await cache.set(cacheKey, metas, cacheTTL);
     return metas;
@@ -355,12 +597,142 @@ async function getPublicList(username, listSlug, cacheTTL = config.cache.traktTT
   }
 }
 
+/**
+ * Parse a Trakt list URL into an API path
+ * Supports "trakt.tv/users/<user>/lists/<slug>" (own, public and liked lists) and "trakt.tv/lists/<id>"
+ * @param {string} url - Trakt list URL
+ * @returns {string|null} API path (e.g. "/users/cdtv/lists/slug") or null if not a list URL
+ */
+function parseListUrl(url) {
+  if (typeof url !== 'string') {
+    return null;
+  }
+
+  const match = url.trim().match(/^(?:https?:\/\/)?(?:www\.|app\.)?trakt\.tv\/(?:users\/([^/?#]+)\/lists\/([^/?#]+)|lists\/(\d+))/i);
+  if (!match) {
+    return null;
+  }
+
+  return match[3] ? `/lists/${match[3]}` : `/users/${match[1]}/lists/${match[2]}`;
+}
+
+/**
+ * Look up a Trakt list from its URL (private lists need the owner's session)
+ * @param {string} url - Trakt list URL
+ * @param {string} [sessionId] - User session ID (optional, for private lists)
+ * @returns {Promise<object|null>} { id, slug, name, username, userSlug, itemCount } or null if not found
+ */
+async function getListInfo(url, sessionId = null) {
+  const listPath = parseListUrl(url);
+  if (!listPath) {
+    return null;
+  }
+
+  try {
+    const headers = await getTraktHeaders(sessionId);
+    const response = await fetch(`${config.trakt.apiUrl}${listPath}`, { headers });
+
+    if (!response.ok) {
+      console.error(`❌ Trakt API error for list ${listPath}: ${response.status} ${response.statusText}`);
+      return null;
+    }
+
+    const list = await response.json();
+    if (!list.ids?.trakt) {
+      return null;
+    }
+
+    return {
+      id: String(list.ids.trakt),
+      slug: list.ids.slug || null,
+      name: list.name,
+      username: list.user?.username || null,
+      userSlug: list.user?.ids?.slug || null,
+      itemCount: list.item_count || 0
+    };
+  } catch (error) {
+    console.error(`❌ Error looking up Trakt list ${listPath}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the API path of a user-added Trakt list
+ * Private lists are only served under their owner (/users/<user>/lists/<slug>); lists saved
+ * before the owner and slug were stored fall back to the public /lists/<id> route
+ * @param {object} list - Saved list ({ id, userSlug, slug })
+ * @returns {string} API path
+ */
+function getListPath(list) {
+  return list.userSlug && list.slug ? `/users/${list.userSlug}/lists/${list.slug}` : `/lists/${list.id}`;
+}
+
+/**
+ * Fetch a user-added Trakt list catalog (movies or series of the list)
+ * The sorted list is fetched once per cache cycle; only the requested page is resolved to metas
+ * (one TMDB lookup per item), so a long list doesn't fire hundreds of lookups at once
+ * @param {string} sessionId - User session ID (OAuth, for private lists)
+ * @param {object} list - Saved list from the session preferences ({ id, userSlug, slug, sort })
+ * @param {string} type - Content type (movie/series)
+ * @param {number} skip - Number of items to skip for pagination (default: 0)
+ * @returns {Promise<Array>} Array of metadata (max 20 items per page)
+ */
+async function getUserList(sessionId, list, type, skip = 0) {
+  const listId = list.id;
+  const sort = list.sort || null;
+  const cacheKey = `trakt:userlist:${sessionId}:${listId}:${type}:${sort || 'rank'}`;
+  const cached = await cache.get(`${cacheKey}:${skip}`);
+
+  if (cached) {
+    console.log(`💾 Serving Trakt list ${listId} (${type}, skip=${skip}) from cache (Redis)`);
+    return cached;
+  }
+
+  try {
+    let items = await cache.get(cacheKey);
+    if (!items) {
+      console.log(`🔍 Fetching FRESH Trakt list ${listId} (${type}) from API...`);
+      const headers = await getTraktHeaders(sessionId);
+      items = await fetchListItems(getListPath(list), type, LIST_ITEMS_LIMIT, headers, sort);
+      console.log(`✅ Trakt returned ${items.length} ${type} items from list ${listId}`);
+      await cache.set(cacheKey, items, config.cache.traktTTL);
+    }
+
+    const metas = await mapInBatches(items.slice(skip, skip + PAGE_SIZE), item => mapTraktToMeta(item, type));
+
+    await cache.set(`${cacheKey}:${skip}`, metas, config.cache.traktTTL);
+    return metas;
+  } catch (error) {
+    console.error(`❌ Error fetching Trakt list ${listId}:`, error.message);
+    return [];
+  }
+}
+
 // Rotten Tomatoes 100 Best Documentaries (Trakt list by cdtv) – same as catalog "Highly Rated Documentaries"
 const DOCUMENTARY_LIST_USER = 'cdtv';
 const DOCUMENTARY_LIST_SLUG = 'rotten-tomatoes-100-best-documentaries-ranked-by-tomatometer';
 const DOCUMENTARY_LIST_CACHE_TTL = 24 * 60 * 60 * 1000; // 24h
 const WATCHED_CACHE_TTL = 10 * 60 * 1000; // 10 min for watched list
 const PAGE_SIZE = 20;
+const RECOMMENDATIONS_LIMIT = 100; // Trakt's maximum for recommendations
+const UP_NEXT_LIMIT = 50; // Recently watched shows checked for a next episode
+const FETCH_BATCH_SIZE = 10; // Concurrent per-item Trakt/TMDB lookups
+const CALENDAR_DAYS = 7; // "Airing This Week" window
+
+/**
+ * Map items with an async function, FETCH_BATCH_SIZE at a time (keeps per-item lookups under the API rate limits)
+ * @param {Array} items - Items to map
+ * @param {function} fn - Async mapping function
+ * @returns {Promise<Array>} Mapped items, in order
+ */
+async function mapInBatches(items, fn) {
+  const results = [];
+  for (let i = 0; i < items.length; i += FETCH_BATCH_SIZE) {
+    const batch = items.slice(i, i + FETCH_BATCH_SIZE);
+    results.push(...await Promise.all(batch.map(fn)));
+  }
+  return results;
+}
 
 /** Fisher-Yates shuffle – new random order each cache cycle */
 function shuffleArray(arr) {
@@ -373,9 +745,17 @@ function shuffleArray(arr) {
 }
 
 /**
- * Get the set of watched movie IDs for a user (imdb + trakt) for filtering. Cached 10 min.
+ * Empty { imdb, trakt, tmdb } ID sets, for users without (readable) Trakt data
+ * @returns {{ imdb: Set<string>, trakt: Set<string>, tmdb: Set<string> }}
+ */
+function emptyIdSets() {
+  return { imdb: new Set(), trakt: new Set(), tmdb: new Set() };
+}
+
+/**
+ * Get the set of watched movie IDs for a user (imdb + trakt + tmdb) for filtering. Cached 10 min.
  * @param {string} sessionId - User session ID (OAuth)
- * @returns {Promise<{ imdb: Set<string>, trakt: Set<string> }>}
+ * @returns {Promise<{ imdb: Set<string>, trakt: Set<string>, tmdb: Set<string> }>}
  */
 async function getWatchedMovieIds(sessionId) {
   const cacheKey = `trakt:watched:movies:${sessionId}`;
@@ -385,51 +765,297 @@ async function getWatchedMovieIds(sessionId) {
   }
   const headers = await getTraktHeaders(sessionId);
   if (!headers.Authorization) {
-    return { imdb: new Set(), trakt: new Set() };
+    return emptyIdSets();
   }
   try {
     const response = await fetch(`${config.trakt.apiUrl}/sync/watched/movies`, { headers });
-    if (!response.ok) return { imdb: new Set(), trakt: new Set() };
+    if (!response.ok) return emptyIdSets();
     const data = await response.json();
     const imdb = new Set();
     const trakt = new Set();
+    const tmdb = new Set();
     for (const item of data || []) {
       const m = item.movie || item;
       if (m.ids) {
         if (m.ids.imdb) imdb.add(m.ids.imdb);
         if (m.ids.trakt) trakt.add(String(m.ids.trakt));
+        if (m.ids.tmdb) tmdb.add(String(m.ids.tmdb));
       }
     }
-    await cache.set(cacheKey, { imdb: [...imdb], trakt: [...trakt] }, WATCHED_CACHE_TTL);
-    return { imdb, trakt };
+    await cache.set(cacheKey, { imdb: [...imdb], trakt: [...trakt], tmdb: [...tmdb] }, WATCHED_CACHE_TTL);
+    return { imdb, trakt, tmdb };
   } catch (err) {
     console.error('❌ Error fetching watched movies:', err.message);
-    return { imdb: new Set(), trakt: new Set() };
+    return emptyIdSets();
   }
 }
 
 function parseWatchedFromCache(cached) {
-  if (!cached) return { imdb: new Set(), trakt: new Set() };
+  if (!cached) return emptyIdSets();
   return {
     imdb: new Set(Array.isArray(cached.imdb) ? cached.imdb : []),
-    trakt: new Set(Array.isArray(cached.trakt) ? cached.trakt : [])
+    trakt: new Set(Array.isArray(cached.trakt) ? cached.trakt : []),
+    tmdb: new Set(Array.isArray(cached.tmdb) ? cached.tmdb : [])
   };
 }
 
-function isMovieWatched(meta, watched) {
+/** Check a meta (movie or show, IMDB, trakt: or tmdb: ID) against an { imdb, trakt, tmdb } ID set */
+function isWatched(meta, watched) {
   if (meta.id && meta.id.startsWith('tt')) return watched.imdb.has(meta.id);
   if (meta.id && meta.id.startsWith('trakt:')) return watched.trakt.has(meta.id.replace('trakt:', ''));
+  if (meta.id && meta.id.startsWith('tmdb:')) return watched.tmdb.has(meta.id.replace('tmdb:', ''));
   return false;
 }
 
+// "Hide watched" modes for series: off, fully watched shows, or any show the user has started
+const HIDE_WATCHED_SERIES_MODES = ['off', 'completed', 'started'];
+
+/**
+ * Validate "hide watched" settings submitted from the configure page
+ * @param {object} input - { movies, series }
+ * @returns {object} Sanitized settings ({ movies: boolean, series: mode })
+ * @throws {Error} If the series mode is unknown
+ */
+function sanitizeHideWatched(input) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Hide watched settings must be an object');
+  }
+
+  const series = input.series || 'off';
+  if (!HIDE_WATCHED_SERIES_MODES.includes(series)) {
+    throw new Error(`Series mode must be one of: ${HIDE_WATCHED_SERIES_MODES.join(', ')}`);
+  }
+
+  return { movies: input.movies === true, series };
+}
+
+/**
+ * Get the IDs to hide from catalogs under a user's "hide watched" settings
+ * @param {string} sessionId - User session ID (OAuth)
+ * @param {string} type - Content type (movie/series)
+ * @param {object} [settings] - Session preferences hideWatched ({ movies, series })
+ * @returns {Promise<{ imdb: Set<string>, trakt: Set<string>, tmdb: Set<string> }|null>} IDs to hide, or null if nothing is hidden
+ */
+async function getHiddenIds(sessionId, type, settings = {}) {
+  if (type === 'movie') {
+    return settings.movies ? getWatchedMovieIds(sessionId) : null;
+  }
+
+  if (settings.series === 'completed') {
+    return getCompletedShowIds(sessionId);
+  }
+
+  if (settings.series === 'started') {
+    const shows = await getWatchedShows(sessionId);
+    return {
+      imdb: new Set(shows.map(item => item.show.ids.imdb).filter(Boolean)),
+      trakt: new Set(shows.map(item => String(item.show.ids.trakt))),
+      tmdb: new Set(shows.map(item => item.show.ids.tmdb).filter(Boolean).map(String))
+    };
+  }
+
+  return null;
+}
+
+/** Check a raw Trakt item (movie or show) against an { imdb, trakt, tmdb } ID set */
+function hasTraktIds(item, ids) {
+  if (!item || !item.ids) return false;
+  if (item.ids.imdb && ids.imdb.has(item.ids.imdb)) return true;
+  if (item.ids.trakt && ids.trakt.has(String(item.ids.trakt))) return true;
+  if (item.ids.tmdb && ids.tmdb.has(String(item.ids.tmdb))) return true;
+  return false;
+}
+
+/**
+ * Get the set of shows the user has fully watched (every aired episode seen). Cached 10 min.
+ * Based on Trakt watched-shows progress: distinct watched episodes vs. the show's aired episodes
+ * @param {string} sessionId - User session ID (OAuth)
+ * @returns {Promise<{ imdb: Set<string>, trakt: Set<string>, tmdb: Set<string> }>}
+ */
+async function getCompletedShowIds(sessionId) {
+  const cacheKey = `trakt:watched:shows:completed:${sessionId}`;
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    return parseWatchedFromCache(cached);
+  }
+  const headers = await getTraktHeaders(sessionId);
+  if (!headers.Authorization) {
+    return emptyIdSets();
+  }
+  try {
+    const response = await fetch(`${config.trakt.apiUrl}/sync/watched/shows?extended=full`, { headers });
+    if (!response.ok) return emptyIdSets();
+    const data = await response.json();
+    const imdb = new Set();
+    const trakt = new Set();
+    const tmdb = new Set();
+    for (const item of data || []) {
+      const show = item.show;
+      if (!show || !show.ids || !show.aired_episodes) continue;
+      const watchedEpisodes = (item.seasons || [])
+        .filter(season => season.number > 0) // Specials don't count towards aired episodes
+        .reduce((count, season) => count + (season.episodes || []).length, 0);
+      if (watchedEpisodes >= show.aired_episodes) {
+        if (show.ids.imdb) imdb.add(show.ids.imdb);
+        if (show.ids.trakt) trakt.add(String(show.ids.trakt));
+        if (show.ids.tmdb) tmdb.add(String(show.ids.tmdb));
+      }
+    }
+    await cache.set(cacheKey, { imdb: [...imdb], trakt: [...trakt], tmdb: [...tmdb] }, WATCHED_CACHE_TTL);
+    return { imdb, trakt, tmdb };
+  } catch (err) {
+    console.error('❌ Error fetching watched shows:', err.message);
+    return emptyIdSets();
+  }
+}
+
+/**
+ * Get the set of shows the user has dropped (or hidden from watched progress) on Trakt. Cached 10 min.
+ * @param {string} sessionId - User session ID (OAuth)
+ * @returns {Promise<{ imdb: Set<string>, trakt: Set<string>, tmdb: Set<string> }>}
+ */
+async function getDroppedShowIds(sessionId) {
+  const cacheKey = `trakt:watched:shows:dropped:${sessionId}`;
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    return parseWatchedFromCache(cached);
+  }
+  const headers = await getTraktHeaders(sessionId);
+  if (!headers.Authorization) {
+    return emptyIdSets();
+  }
+  const imdb = new Set();
+  const trakt = new Set();
+  const tmdb = new Set();
+  try {
+    for (const section of ['dropped', 'progress_watched']) {
+      const response = await fetch(`${config.trakt.apiUrl}/users/hidden/${section}?type=show&limit=1000`, { headers });
+      if (!response.ok) continue;
+      const data = await response.json();
+      for (const item of data || []) {
+        const show = item.show;
+        if (!show || !show.ids) continue;
+        if (show.ids.imdb) imdb.add(show.ids.imdb);
+        if (show.ids.trakt) trakt.add(String(show.ids.trakt));
+        if (show.ids.tmdb) tmdb.add(String(show.ids.tmdb));
+      }
+    }
+    await cache.set(cacheKey, { imdb: [...imdb], trakt: [...trakt], tmdb: [...tmdb] }, WATCHED_CACHE_TTL);
+    return { imdb, trakt, tmdb };
+  } catch (err) {
+    console.error('❌ Error fetching dropped shows:', err.message);
+    return emptyIdSets();
+  }
+}
+
+/**
+ * Get the movies the user watched most recently (one entry per movie, newest first). Cached 10 min.
+ * @param {string} sessionId - User session ID (OAuth)
+ * @param {number} limit - Number of history entries to read (default: 50)
+ * @returns {Promise<Array>} Array of { movie, watched_at }
+ */
+async function getMovieHistory(sessionId, limit = 50) {
+  const cacheKey = `trakt:history:movies:${sessionId}:${limit}`;
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+  const headers = await getTraktHeaders(sessionId);
+  if (!headers.Authorization) {
+    return [];
+  }
+  try {
+    const response = await fetch(`${config.trakt.apiUrl}/sync/history/movies?limit=${limit}`, { headers });
+    if (!response.ok) return [];
+    const data = await response.json();
+    const seen = new Set();
+    const history = [];
+    for (const item of data || []) {
+      if (!item.movie || !item.movie.ids || seen.has(item.movie.ids.trakt)) continue;
+      seen.add(item.movie.ids.trakt);
+      history.push({ movie: item.movie, watched_at: item.watched_at });
+    }
+    await cache.set(cacheKey, history, WATCHED_CACHE_TTL);
+    return history;
+  } catch (err) {
+    console.error('❌ Error fetching movie history:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Get the movies the user rated at least minRating on Trakt, most recently rated first. Cached 10 min.
+ * @param {string} sessionId - User session ID (OAuth)
+ * @param {number} minRating - Minimum rating (1-10, default: 8)
+ * @returns {Promise<Array>} Array of { movie, rating, rated_at }
+ */
+async function getRatedMovies(sessionId, minRating = 8) {
+  const cacheKey = `trakt:ratings:movies:${sessionId}:${minRating}`;
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+  const headers = await getTraktHeaders(sessionId);
+  if (!headers.Authorization) {
+    return [];
+  }
+  try {
+    const ratings = Array.from({ length: 11 - minRating }, (_, i) => minRating + i).join(',');
+    const response = await fetch(`${config.trakt.apiUrl}/sync/ratings/movies/${ratings}`, { headers });
+    if (!response.ok) return [];
+    const data = await response.json();
+    const rated = (data || [])
+      .filter(item => item.movie && item.movie.ids)
+      .sort((a, b) => new Date(b.rated_at) - new Date(a.rated_at))
+      .map(item => ({ movie: item.movie, rating: item.rating, rated_at: item.rated_at }));
+    await cache.set(cacheKey, rated, WATCHED_CACHE_TTL);
+    return rated;
+  } catch (err) {
+    console.error('❌ Error fetching movie ratings:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Get the shows the user has watched, most recently watched first. Cached 10 min.
+ * @param {string} sessionId - User session ID (OAuth)
+ * @returns {Promise<Array>} Array of { show, last_watched_at }
+ */
+async function getWatchedShows(sessionId) {
+  const cacheKey = `trakt:watched:shows:list:${sessionId}`;
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+  const headers = await getTraktHeaders(sessionId);
+  if (!headers.Authorization) {
+    return [];
+  }
+  try {
+    const response = await fetch(`${config.trakt.apiUrl}/sync/watched/shows?extended=noseasons`, { headers });
+    if (!response.ok) return [];
+    const data = await response.json();
+    const shows = (data || [])
+      .filter(item => item.show && item.show.ids)
+      .sort((a, b) => new Date(b.last_watched_at) - new Date(a.last_watched_at))
+      .map(item => ({ show: item.show, last_watched_at: item.last_watched_at }));
+    await cache.set(cacheKey, shows, WATCHED_CACHE_TTL);
+    return shows;
+  } catch (err) {
+    console.error('❌ Error fetching watched shows:', err.message);
+    return [];
+  }
+}
+
 /**
  * Fetch "Highly Rated Documentaries" from Trakt list (Rotten Tomatoes 100 Best Documentaries).
  * Shuffles the list each time the cache refreshes. Optionally filters out movies already watched (if sessionId provided).
  * @param {number} skip - Number of items to skip for pagination (default: 0)
  * @param {string} [sessionId] - User session ID to exclude watched movies (optional)
+ * @param {string} [genre] - Genre to filter by, e.g. "History" or "Music" (optional)
  * @returns {Promise<Array>} Array of movie metadata (max 20 items per page)
  */
-async function getDocumentaryList(skip = 0, sessionId = null) {
+async function getDocumentaryList(skip = 0, sessionId = null, genre = null) {
   const fullList = await getPublicList(
     DOCUMENTARY_LIST_USER,
     DOCUMENTARY_LIST_SLUG,
@@ -443,23 +1069,321 @@ async function getDocumentaryList(skip = 0, sessionId = null) {
     let filtered = fullList;
     if (sessionId) {
       const watched = await getWatchedMovieIds(sessionId);
-      filtered = fullList.filter(meta => !isMovieWatched(meta, watched));
+      filtered = fullList.filter(meta => !isWatched(meta, watched));
       console.log(`✅ Documentary list: filtered to ${filtered.length} unwatched (${fullList.length - filtered.length} already watched)`);
     }
     list = shuffleArray(filtered);
     await cache.set(cacheKey, list, DOCUMENTARY_LIST_CACHE_TTL);
   }
-  const page = list.slice(skip, skip + PAGE_SIZE);
-  console.log(`✅ Documentary list: returning ${page.length} items (skip=${skip}, total=${list.length})`);
+  const genreSlug = getGenreSlug(genre);
+  const matching = filterByGenre(list, genreSlug);
+  const page = matching.slice(skip, skip + PAGE_SIZE);
+  console.log(`✅ Documentary list: returning ${page.length} items (skip=${skip}${genreSlug ? ', genre=' + genreSlug : ''}, total=${matching.length})`);
   return page;
 }
 
+/**
+ * Fetch the user's Trakt watchlist (movies or series), most recently added first.
+ * Items the user has since watched are removed (movies watched, shows fully watched).
+ * The whole watchlist is fetched once per cache cycle and paged locally
+ * @param {string} sessionId - User session ID (OAuth)
+ * @param {string} type - Content type (movie/series)
+ * @param {number} skip - Number of items to skip for pagination (default: 0)
+ * @returns {Promise<Array>} Array of metadata (max 20 items per page)
+ */
+async function getWatchlist(sessionId, type, skip = 0) {
+  const traktType = type === 'movie' ? 'movies' : 'shows';
+  const cacheKey = `trakt:watchlist:${traktType}:${sessionId}`;
+  const cached = await cache.get(cacheKey);
+
+  if (cached) {
+    console.log(`💾 Serving Trakt ${traktType} watchlist (skip=${skip}) from cache (Redis)`);
+    return cached.slice(skip, skip + PAGE_SIZE);
+  }
+
+  const headers = await getTraktHeaders(sessionId);
+  if (!headers.Authorization) {
+    console.warn('⚠️  Not authenticated with Trakt, no watchlist to show');
+    return [];
+  }
+
+  try {
+    console.log(`🔍 Fetching FRESH Trakt ${traktType} watchlist from API...`);
+    const url = `${config.trakt.apiUrl}/sync/watchlist/${traktType}?extended=full`;
+    console.log(`📡 Trakt URL: ${url}`);
+    const response = await fetch(url, { headers });
+
+    if (!response.ok) {
+      console.error(`❌ Trakt API error: ${response.status} ${response.statusText}`);
+      return [];
+    }
+
+    const data = await response.json();
+    const itemKey = type === 'movie' ? 'movie' : 'show';
+    const watched = type === 'movie'
+      ? await getWatchedMovieIds(sessionId)
+      : await getCompletedShowIds(sessionId);
+
+    // Most recently added first, already watched removed
+    const items = (data || [])
+      .filter(entry => entry[itemKey] && entry[itemKey].ids)
+      .sort((a, b) => new Date(b.listed_at) - new Date(a.listed_at))
+      .map(entry => entry[itemKey])
+      .filter(item => !hasTraktIds(item, watched));
+    console.log(`✅ Trakt ${traktType} watchlist: ${items.length} items (${(data || []).length - items.length} removed as watched)`);
+
+    const metas = await mapInBatches(items, item => mapTraktToMeta(item, type));
+
+    await cache.set(cacheKey, metas, WATCHED_CACHE_TTL);
+    return metas.slice(skip, skip + PAGE_SIZE);
+  } catch (error) {
+    console.error(`❌ Error fetching Trakt ${traktType} watchlist:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Format a season/episode pair as "S01E05"
+ * @param {number} season - Season number
+ * @param {number} episode - Episode number
+ * @returns {string} Episode code
+ */
+function formatEpisodeCode(season, episode) {
+  return `S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}`;
+}
+
+/**
+ * Get the user's watched progress for one show (includes the next episode to watch). Cached 10 min.
+ * @param {string} sessionId - User session ID (OAuth)
+ * @param {string|number} traktId - Trakt show ID
+ * @returns {Promise<object|null>} Trakt progress ({ aired, completed, next_episode, ... }) or null
+ */
+async function getShowProgress(sessionId, traktId) {
+  const cacheKey = `trakt:progress:${sessionId}:${traktId}`;
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+  const headers = await getTraktHeaders(sessionId);
+  if (!headers.Authorization) {
+    return null;
+  }
+  try {
+    const response = await fetch(`${config.trakt.apiUrl}/shows/${traktId}/progress/watched?hidden=false&specials=false`, { headers });
+    if (!response.ok) return null;
+    const progress = await response.json();
+    await cache.set(cacheKey, progress, WATCHED_CACHE_TTL);
+    return progress;
+  } catch (err) {
+    console.error(`❌ Error fetching progress for show ${traktId}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Get the next episode the user should watch for a show
+ * @param {string} sessionId - User session ID (OAuth)
+ * @param {string|number} traktId - Trakt show ID
+ * @returns {Promise<object|null>} Trakt episode ({ season, number, title, ... }) or null if none
+ */
+async function getNextEpisode(sessionId, traktId) {
+  const progress = await getShowProgress(sessionId, traktId);
+  return progress?.next_episode || null;
+}
+
+/**
+ * Fetch "Up Next": shows the user is in the middle of, most recently watched first,
+ * with the next unwatched episode in the description and as the default video.
+ * Metas use trakt: IDs so the add-on's meta handler serves them (and can pick the next episode)
+ * @param {string} sessionId - User session ID (OAuth)
+ * @param {number} skip - Number of items to skip for pagination (default: 0)
+ * @returns {Promise<Array>} Array of series metadata (max 20 items per page)
+ */
+async function getUpNext(sessionId, skip = 0) {
+  const cacheKey = `trakt:upnext:${sessionId}`;
+  const cached = await cache.get(cacheKey);
+
+  if (cached) {
+    console.log(`💾 Serving Trakt Up Next (skip=${skip}) from cache (Redis)`);
+    return cached.slice(skip, skip + PAGE_SIZE);
+  }
+
+  const headers = await getTraktHeaders(sessionId);
+  if (!headers.Authorization) {
+    console.warn('⚠️  Not authenticated with Trakt, no Up Next to show');
+    return [];
+  }
+
+  try {
+    console.log('🔍 Fetching FRESH Trakt watched shows for Up Next...');
+    const response = await fetch(`${config.trakt.apiUrl}/sync/watched/shows?extended=noseasons`, { headers });
+
+    if (!response.ok) {
+      console.error(`❌ Trakt API error: ${response.status} ${response.statusText}`);
+      return [];
+    }
+
+    const data = await response.json();
+    const dropped = await getDroppedShowIds(sessionId);
+
+    // Most recently watched first; only the latest shows are checked to keep progress lookups bounded
+    const recent = (data || [])
+      .filter(item => item.show && item.show.ids && !hasTraktIds(item.show, dropped))
+      .sort((a, b) => new Date(b.last_watched_at) - new Date(a.last_watched_at))
+      .slice(0, UP_NEXT_LIMIT);
+
+    const entries = await mapInBatches(recent, async (item) => {
+      const nextEpisode = await getNextEpisode(sessionId, item.show.ids.trakt);
+      return nextEpisode ? { show: item.show, nextEpisode } : null;
+    });
+
+    const metas = await Promise.all(entries.filter(Boolean).map(async ({ show, nextEpisode }) => {
+      const meta = await mapTraktToMeta(show, 'series');
+      const code = formatEpisodeCode(nextEpisode.season, nextEpisode.number);
+      const episodeTitle = nextEpisode.title ? ` "${nextEpisode.title}"` : '';
+      meta.id = `trakt:${show.ids.trakt}`;
+      meta.description = [`▶ Up next: ${code}${episodeTitle}`, meta.description].filter(Boolean).join(' · ');
+      if (show.ids.imdb) {
+        meta.behaviorHints = { defaultVideoId: `${show.ids.imdb}:${nextEpisode.season}:${nextEpisode.number}` };
+      }
+      return meta;
+    }));
+    console.log(`✅ Up Next: ${metas.length} in-progress shows (checked ${recent.length} recently watched)`);
+
+    await cache.set(cacheKey, metas, WATCHED_CACHE_TTL);
+    return metas.slice(skip, skip + PAGE_SIZE);
+  } catch (error) {
+    console.error('❌ Error fetching Trakt Up Next:', error.message);
+    return [];
+  }
+}
+
+// Trakt episode types shown first in "Airing This Week"
+const HIGHLIGHT_EPISODE_TYPES = {
+  series_premiere: 'Series premiere',
+  season_premiere: 'Season premiere',
+  mid_season_premiere: 'Mid-season premiere',
+  mid_season_finale: 'Mid-season finale',
+  season_finale: 'Season finale',
+  series_finale: 'Series finale'
+};
+
+/**
+ * Format an air date for catalog display (UTC, e.g. "Fri, Oct 24")
+ * @param {string} date - ISO date string
+ * @returns {string} Formatted date
+ */
+function formatAirDate(date) {
+  return new Date(date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Fetch "Airing This Week": upcoming episodes of the user's shows from their Trakt calendar.
+ * One item per show (its premiere/finale if it has one this week, otherwise its next episode),
+ * premieres and finales first, then by air date
+ * @param {string} sessionId - User session ID (OAuth)
+ * @param {number} skip - Number of items to skip for pagination (default: 0)
+ * @returns {Promise<Array>} Array of series metadata (max 20 items per page)
+ */
+async function getAiringThisWeek(sessionId, skip = 0) {
+  const startDate = new Date().toISOString().substring(0, 10);
+  const cacheKey = `trakt:calendar:${sessionId}:${startDate}`;
+  const cached = await cache.get(cacheKey);
+
+  if (cached) {
+    console.log(`💾 Serving Trakt calendar (skip=${skip}) from cache (Redis)`);
+    return cached.slice(skip, skip + PAGE_SIZE);
+  }
+
+  const headers = await getTraktHeaders(sessionId);
+  if (!headers.Authorization) {
+    console.warn('⚠️  Not authenticated with Trakt, no calendar to show');
+    return [];
+  }
+
+  try {
+    console.log(`🔍 Fetching FRESH Trakt calendar from ${startDate} (${CALENDAR_DAYS} days)...`);
+    const url = `${config.trakt.apiUrl}/calendars/my/shows/${startDate}/${CALENDAR_DAYS}?extended=full`;
+    console.log(`📡 Trakt URL: ${url}`);
+    const response = await fetch(url, { headers });
+
+    if (!response.ok) {
+      console.error(`❌ Trakt API error: ${response.status} ${response.statusText}`);
+      return [];
+    }
+
+    const data = await response.json();
+
+    // One entry per show: prefer a premiere/finale, otherwise the earliest episode
+    const byShow = new Map();
+    for (const entry of (data || []).filter(e => e.show && e.show.ids && e.episode)) {
+      const key = String(entry.show.ids.trakt);
+      const current = byShow.get(key);
+      const isHighlight = Boolean(HIGHLIGHT_EPISODE_TYPES[entry.episode.episode_type]);
+      if (!current) {
+        byShow.set(key, { ...entry, isHighlight, count: 1 });
+      } else {
+        current.count++;
+        if (isHighlight && !current.isHighlight) {
+          byShow.set(key, { ...entry, isHighlight, count: current.count });
+        }
+      }
+    }
+
+    const entries = [...byShow.values()].sort((a, b) =>
+      (b.isHighlight - a.isHighlight) || (new Date(a.first_aired) - new Date(b.first_aired))
+    );
+
+    const metas = await Promise.all(entries.map(async (entry) => {
+      const { show, episode } = entry;
+      const meta = await mapTraktToMeta(show, 'series');
+      const code = formatEpisodeCode(episode.season, episode.number);
+      const airDate = formatAirDate(entry.first_aired);
+      const label = HIGHLIGHT_EPISODE_TYPES[episode.episode_type];
+      const episodeTitle = episode.title ? ` "${episode.title}"` : '';
+      const more = entry.count > 1 ? ` (+${entry.count - 1} more this week)` : '';
+      meta.releaseInfo = `${airDate} · ${code}`;
+      const summary = `📅 ${label ? label + ' · ' : ''}${code}${episodeTitle} airs ${airDate}${more}`;
+      meta.description = [summary, meta.description].filter(Boolean).join(' · ');
+      return meta;
+    }));
+    console.log(`✅ Airing this week: ${metas.length} shows (${(data || []).length} episodes)`);
+
+    await cache.set(cacheKey, metas, config.cache.traktTTL);
+    return metas.slice(skip, skip + PAGE_SIZE);
+  } catch (error) {
+    console.error('❌ Error fetching Trakt calendar:', error.message);
+    return [];
+  }
+}
+
 module.exports = {
   getMovieRecommendations,
   getSeriesRecommendations,
   getTrendingMovies,
   getTrendingSeries,
+  getChart,
+  getTraktItem,
+  searchTrakt,
+  addWatchedFlags,
+  mapTraktToMeta,
   getPublicList,
-  getDocumentaryList
+  parseListUrl,
+  getListInfo,
+  getUserList,
+  LIST_SORT_OPTIONS,
+  getDocumentaryList,
+  getWatchlist,
+  getUpNext,
+  getNextEpisode,
+  getWatchedMovieIds,
+  isWatched,
+  getHiddenIds,
+  sanitizeHideWatched,
+  HIDE_WATCHED_SERIES_MODES,
+  getMovieHistory,
+  getRatedMovies,
+  getWatchedShows,
+  getAiringThisWeek
 };
 
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const { config } = require('../config');
+
+/**
+ * Admin authentication
+ * Admin endpoints (uploads, ingestion, Trakt writes, stats and scrape health) require the
+ * ADMIN_SECRET, sent as "Authorization: Bearer <secret>" or in the X-Admin-Secret header
+ */
+
+/**
+ * Compare a provided secret with the configured one in constant time
+ * @param {string} provided - Secret sent with the request
+ * @returns {boolean} Whether it matches
+ */
+function isValidSecret(provided) {
+  const expected = Buffer.from(config.admin.secret);
+  const actual = Buffer.from(provided || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Express middleware rejecting requests without the admin secret
+ * Without a configured secret the endpoints are disabled altogether
+ */
+function requireAdminSecret(req, res, next) {
+  if (!config.admin.secret) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin endpoint disabled (ADMIN_SECRET is not set)'
+    });
+  }
+
+  const authorization = req.get('authorization') || '';
+  const provided = authorization.startsWith('Bearer ') ? authorization.substring(7) : req.get('x-admin-secret');
+
+  if (!isValidSecret(provided)) {
+    console.warn(`⚠️  Rejected unauthenticated admin request: ${req.method} ${req.path}`);
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid admin secret'
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAdminSecret
+};
@@ -4,6 +4,13 @@
 
 const { getRedisClient } = require('./redis');
 
+// Deletes KEYS[1] only if it still holds ARGV[1] (check and delete in one atomic step)
+const CLEAR_IF_EQUAL_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
 class Cache {
   constructor() {
     this.store = new Map(); // In-memory fallback
@@ -77,6 +84,65 @@ class Cache {
     console.log(`💾 Cache SET (memory): ${key} (TTL: ${ttl / 1000}s)`);
   }
 
+  /**
+   * Set a value only if the key doesn't exist yet (atomic in Redis, use it to claim work across instances)
+   * @param {string} key - Cache key
+   * @param {any} value - Value to cache
+   * @param {number} ttl - Time to live in milliseconds
+   * @returns {Promise<boolean>} True if the value was set, false if the key already existed
+   */
+  async setIfAbsent(key, value, ttl) {
+    const redis = await getRedisClient();
+
+    if (redis) {
+      try {
+        const ttlSeconds = Math.ceil(ttl / 1000);
+        const result = await redis.set(key, JSON.stringify(value), { EX: ttlSeconds, NX: true });
+        console.log(`💾 Cache SET NX (Redis): ${key} (${result ? 'set' : 'exists'})`);
+        return result !== null;
+      } catch (error) {
+        console.error(`❌ Redis set NX error for ${key}:`, error.message);
+        // Fall through to in-memory cache
+      }
+    }
+
+    // Fallback to in-memory (check and set run without yielding, so they can't interleave)
+    const item = this.store.get(key);
+    if (item && Date.now() <= item.expiry) {
+      return false;
+    }
+    this.store.set(key, { value, expiry: Date.now() + ttl });
+    console.log(`💾 Cache SET NX (memory): ${key}`);
+    return true;
+  }
+
+  /**
+   * Atomically increment a counter (created at 0 if missing)
+   * @param {string} key - Cache key
+   * @param {number} ttl - Time to live in milliseconds (refreshed on every increment)
+   * @returns {Promise<number>} Value after the increment
+   */
+  async increment(key, ttl) {
+    const redis = await getRedisClient();
+
+    if (redis) {
+      try {
+        const value = await redis.incr(key);
+        await redis.expire(key, Math.ceil(ttl / 1000));
+        return value;
+      } catch (error) {
+        console.error(`❌ Redis incr error for ${key}:`, error.message);
+        // Fall through to in-memory cache
+      }
+    }
+
+    // Fallback to in-memory
+    const item = this.store.get(key);
+    const value = (item && Date.now() <= item.expiry ? Number(item.value) || 0 : 0) + 1;
+    this.store.set(key, { value, expiry: Date.now() + ttl });
+    return value;
+  }
+
   /**
    * Clear a specific key or entire cache
    * @param {string} [key] - Optional key to clear, or clears all if not provided
@@ -111,6 +177,121 @@ class Cache {
     }
   }
 
+  /**
+   * Clear a key only if it still holds the given value (atomic in Redis), so a value written
+   * in the meantime (e.g. a newer pending watch) isn't cleared by mistake
+   * @param {string} key - Cache key
+   * @param {any} value - Value the key is expected to hold
+   * @returns {Promise<boolean>} True if the key was cleared, false if it was missing or changed
+   */
+  async clearIfEqual(key, value) {
+    const redis = await getRedisClient();
+
+    if (redis) {
+      try {
+        const cleared = await redis.eval(CLEAR_IF_EQUAL_SCRIPT, { keys: [key], arguments: [JSON.stringify(value)] });
+        console.log(`🗑️  Cache CLEAR IF EQUAL (Redis): ${key} (${cleared ? 'cleared' : 'changed'})`);
+        return cleared === 1;
+      } catch (error) {
+        console.error(`❌ Redis clear if equal error for ${key}:`, error.message);
+        // Fall through to in-memory cache
+      }
+    }
+
+    // Fallback to in-memory (compare and delete run without yielding)
+    const item = this.store.get(key);
+    if (!item || Date.now() > item.expiry || JSON.stringify(item.value) !== JSON.stringify(value)) {
+      return false;
+    }
+    this.store.delete(key);
+    console.log(`🗑️  Cache CLEAR IF EQUAL (memory): ${key}`);
+    return true;
+  }
+
+  /**
+   * Add a member to a set (atomic in Redis, so concurrent adds don't overwrite each other)
+   * Set keys must only be read and written with the set methods
+   * @param {string} key - Cache key
+   * @param {string} member - Member to add
+   * @param {number} ttl - Time to live in milliseconds (refreshed on every add)
+   * @returns {Promise<void>}
+   */
+  async addToSet(key, member, ttl) {
+    const redis = await getRedisClient();
+
+    if (redis) {
+      try {
+        await redis.sAdd(key, member);
+        await redis.expire(key, Math.ceil(ttl / 1000));
+        console.log(`💾 Cache SADD (Redis): ${key}`);
+        return;
+      } catch (error) {
+        console.error(`❌ Redis sadd error for ${key}:`, error.message);
+        // Fall through to in-memory cache
+      }
+    }
+
+    // Fallback to in-memory
+    const item = this.store.get(key);
+    const members = item && Date.now() <= item.expiry ? item.value : new Set();
+    members.add(member);
+    this.store.set(key, { value: members, expiry: Date.now() + ttl });
+    console.log(`💾 Cache SADD (memory): ${key}`);
+  }
+
+  /**
+   * Remove a member from a set
+   * @param {string} key - Cache key
+   * @param {string} member - Member to remove
+   * @returns {Promise<void>}
+   */
+  async removeFromSet(key, member) {
+    const redis = await getRedisClient();
+
+    if (redis) {
+      try {
+        await redis.sRem(key, member);
+        console.log(`🗑️  Cache SREM (Redis): ${key}`);
+        return;
+      } catch (error) {
+        console.error(`❌ Redis srem error for ${key}:`, error.message);
+        // Fall through to in-memory cache
+      }
+    }
+
+    // Fallback to in-memory
+    const item = this.store.get(key);
+    if (item) {
+      item.value.delete(member);
+      console.log(`🗑️  Cache SREM (memory): ${key}`);
+    }
+  }
+
+  /**
+   * Get the members of a set
+   * @param {string} key - Cache key
+   * @returns {Promise<Array<string>>} Members (empty if the set is missing or expired)
+   */
+  async getSetMembers(key) {
+    const redis = await getRedisClient();
+
+    if (redis) {
+      try {
+        return await redis.sMembers(key);
+      } catch (error) {
+        console.error(`❌ Redis smembers error for ${key}:`, error.message);
+        // Fall through to in-memory
+      }
+    }
+
+    // Fallback to in-memory
+    const item = this.store.get(key);
+    if (!item || Date.now() > item.expiry) {
+      return [];
+    }
+    return [...item.value];
+  }
+
   /**
    * Clear all keys matching a pattern
    * @param {string} pattern - Pattern to match (e.g., "trakt:movies:*")
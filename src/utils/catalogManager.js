@@ -0,0 +1,495 @@
+const { config } = require('../config');
+
+/**
+ * Catalog Manager
+ * Defines the catalogs the addon can serve and resolves each user's
+ * selection, order and display names into manifest catalogs
+ */
+
+const SKIP_EXTRA = [{ name: 'skip', isRequired: false }];
+// Search-only catalogs: shown in Stremio's search results, not on the board
+const SEARCH_EXTRA = [{ name: 'search', isRequired: true }, { name: 'skip', isRequired: false }];
+// Genre dropdown options (mapped to Trakt genre slugs, e.g. "Science Fiction" → "science-fiction")
+const GENRE_OPTIONS = [
+  'Action', 'Adventure', 'Animation', 'Anime', 'Comedy', 'Crime', 'Documentary', 'Drama', 'Family', 'Fantasy',
+  'History', 'Horror', 'Music', 'Mystery', 'Romance', 'Science Fiction', 'Superhero', 'Thriller', 'War', 'Western'
+];
+const GENRE_EXTRA = [{ name: 'genre', options: GENRE_OPTIONS, isRequired: false }, { name: 'skip', isRequired: false }];
+const MAX_NAME_LENGTH = 50;
+const NETFLIX_CATALOG_REGEX = /^netflix-([a-z-]+)-top10$/;
+const NETFLIX_MOVERS_REGEX = /^netflix-([a-z-]+)-(new|climbers)$/;
+const LIST_CATALOG_REGEX = /^trakt-list-(\d+)$/;
+const BECAUSE_WATCHED_ID = 'because-watched';
+const BECAUSE_WATCHED_REGEX = /^because-watched-(\d+)$/;
+
+/**
+ * Trakt chart catalogs (opt-in on the configure page), e.g. "trakt-anticipated"
+ * @returns {Array} Catalog definitions
+ */
+function getChartCatalogs() {
+  const charts = [
+    { chart: 'anticipated', name: 'Most Anticipated' },
+    { chart: 'popular', name: 'Popular' },
+    { chart: 'watched-weekly', name: 'Most Watched This Week' },
+    { chart: 'watched-monthly', name: 'Most Watched This Month' }
+  ];
+
+  return [
+    ...charts.flatMap(({ chart, name }) => ['movie', 'series'].map(type => ({
+      type,
+      id: `trakt-${chart}`,
+      name,
+      extra: GENRE_EXTRA,
+      enabledByDefault: false
+    }))),
+    // Box office is movies only, a single top 10
+    {
+      type: 'movie',
+      id: 'trakt-boxoffice',
+      name: 'Box Office',
+      extra: SKIP_EXTRA,
+      enabledByDefault: false
+    }
+  ];
+}
+
+/**
+ * Netflix Top 10 catalogs (movies and series) for one country, e.g. "netflix-sweden-top10"
+ * @param {string} country - Tudum country slug
+ * @param {boolean} enabledByDefault - Whether the catalogs are in the default manifest
+ * @returns {Array} Catalog definitions
+ */
+function getNetflixCatalogs(country, enabledByDefault) {
+  return ['movie', 'series'].map(type => ({
+    type,
+    id: `netflix-${country}-top10`,
+    name: `Netflix Top 10 ${config.netflix.countries[country]}`,
+    extra: SKIP_EXTRA,
+    enabledByDefault
+  }));
+}
+
+/**
+ * Netflix "New this week" and "Biggest climbers" catalogs (movies and series) for one country,
+ * e.g. "netflix-sweden-new", built from the weekly Top 10 history
+ * @param {string} country - Tudum country slug
+ * @returns {Array} Catalog definitions (opt-in on the configure page)
+ */
+function getNetflixMoversCatalogs(country) {
+  const views = [
+    { view: 'new', name: 'New This Week' },
+    { view: 'climbers', name: 'Biggest Climbers' }
+  ];
+
+  return views.flatMap(({ view, name }) => ['movie', 'series'].map(type => ({
+    type,
+    id: `netflix-${country}-${view}`,
+    name: `Netflix ${name} ${config.netflix.countries[country]}`,
+    extra: SKIP_EXTRA,
+    enabledByDefault: false
+  })));
+}
+
+/**
+ * Top 10 catalogs (movies and series) of another streaming service for one country, e.g. "disney-plus-sweden-top10"
+ * @param {string} service - Key of config.flixpatrol.services
+ * @param {string} country - Tudum country slug
+ * @returns {Array} Catalog definitions (opt-in on the configure page)
+ */
+function getStreamingCatalogs(service, country) {
+  return ['movie', 'series'].map(type => ({
+    type,
+    id: `${service}-${country}-top10`,
+    name: `${config.flixpatrol.services[service].name} Top 10 ${config.netflix.countries[country]}`,
+    extra: SKIP_EXTRA,
+    enabledByDefault: false
+  }));
+}
+
+// All catalogs offered by the addon, in default order
+const CATALOG_DEFINITIONS = [
+  // Trending (movies) – Trakt
+  {
+    type: 'movie',
+    id: 'trakt-trending',
+    name: 'Trending',
+    extra: GENRE_EXTRA
+  },
+  // Trending (series) – Trakt
+  {
+    type: 'series',
+    id: 'trakt-trending',
+    name: 'Trending',
+    extra: GENRE_EXTRA
+  },
+  // Netflix Top 10 for the default country (movies and series)
+  ...getNetflixCatalogs(config.netflix.defaultCountry, true),
+  // Newly released (movies and series) – TMDB discover, filters set per user on the configure page
+  {
+    type: 'movie',
+    id: 'tmdb-newly-released',
+    name: 'Newly Released',
+    extra: SKIP_EXTRA
+  },
+  {
+    type: 'series',
+    id: 'tmdb-newly-released',
+    name: 'Newly Released',
+    extra: SKIP_EXTRA
+  },
+  // Your personal recommendations (movies)
+  {
+    type: 'movie',
+    id: 'trakt-recommendations',
+    name: 'Your Personal Recommendations',
+    extra: GENRE_EXTRA
+  },
+  // Your personal recommendations (series, finished/dropped shows hidden)
+  {
+    type: 'series',
+    id: 'trakt-recommendations',
+    name: 'Your Personal Recommendations',
+    extra: GENRE_EXTRA
+  },
+  // Up Next (series) – next episode of shows you're watching on Trakt
+  {
+    type: 'series',
+    id: 'trakt-upnext',
+    name: 'Up Next',
+    extra: SKIP_EXTRA,
+    sessionOnly: true
+  },
+  // Airing This Week (series) – upcoming episodes from your Trakt calendar
+  {
+    type: 'series',
+    id: 'trakt-calendar',
+    name: 'Airing This Week',
+    extra: SKIP_EXTRA,
+    sessionOnly: true
+  },
+  // Your Trakt watchlist (movies and series, most recently added first, watched items removed)
+  {
+    type: 'movie',
+    id: 'trakt-watchlist',
+    name: 'My Watchlist',
+    extra: SKIP_EXTRA,
+    sessionOnly: true
+  },
+  {
+    type: 'series',
+    id: 'trakt-watchlist',
+    name: 'My Watchlist',
+    extra: SKIP_EXTRA,
+    sessionOnly: true
+  },
+  // For You (movies and series) – TMDB titles ranked by your taste profile
+  {
+    type: 'movie',
+    id: 'taste-for-you',
+    name: 'For You',
+    extra: SKIP_EXTRA,
+    sessionOnly: true
+  },
+  {
+    type: 'series',
+    id: 'taste-for-you',
+    name: 'For You',
+    extra: SKIP_EXTRA,
+    sessionOnly: true
+  },
+  // Because you watched <title> (movies) – placeholder expanded into one row per recently watched
+  // or highly rated movie when the manifest is built, rotating daily
+  {
+    type: 'movie',
+    id: BECAUSE_WATCHED_ID,
+    name: 'Because you watched',
+    extra: SKIP_EXTRA
+  },
+  // Highly rated documentaries (movies)
+  {
+    type: 'movie',
+    id: 'tmdb-documentaries',
+    name: 'Highly Rated Documentaries',
+    extra: GENRE_EXTRA
+  },
+  // Search (movies and series) – Trakt, with watched flags when logged in
+  {
+    type: 'movie',
+    id: 'trakt-search',
+    name: 'Trakt Search',
+    extra: SEARCH_EXTRA
+  },
+  {
+    type: 'series',
+    id: 'trakt-search',
+    name: 'Trakt Search',
+    extra: SEARCH_EXTRA
+  },
+  // Trakt charts: anticipated, popular, most watched, box office (opt-in on the configure page)
+  ...getChartCatalogs(),
+  // Netflix Top 10 for other countries and the global list (opt-in on the configure page)
+  ...Object.keys(config.netflix.countries)
+    .filter(country => country !== config.netflix.defaultCountry)
+    .flatMap(country => getNetflixCatalogs(country, false)),
+  // Netflix new entries and biggest climbers since last week, per country (opt-in on the configure page)
+  ...Object.keys(config.netflix.countries).flatMap(country => getNetflixMoversCatalogs(country)),
+  // Disney+, Max, Prime Video and Apple TV+ Top 10s via FlixPatrol (opt-in on the configure page)
+  ...Object.keys(config.flixpatrol.services).flatMap(service => config.flixpatrol.countries
+    .filter(country => config.netflix.countries[country])
+    .flatMap(country => getStreamingCatalogs(service, country)))
+];
+
+/**
+ * Catalogs (movies and series) for the Trakt lists a user added on the configure page
+ * Mixed lists get both; a catalog without items of its type simply stays empty
+ * @param {Array} [lists] - Session preferences lists ([{ id, name, sort }])
+ * @returns {Array} Catalog definitions
+ */
+function getListCatalogs(lists = []) {
+  return lists.flatMap(list => ['movie', 'series'].map(type => ({
+    type,
+    id: `trakt-list-${list.id}`,
+    name: list.name,
+    extra: SKIP_EXTRA
+  })));
+}
+
+/**
+ * All catalogs available to a user: the built-in ones plus their Trakt lists
+ * @param {object} [preferences] - Session preferences
+ * @returns {Array} Catalog definitions
+ */
+function getAvailableCatalogs(preferences = {}) {
+  return [...CATALOG_DEFINITIONS, ...getListCatalogs(preferences.lists)];
+}
+
+/**
+ * Get the unique key of a catalog (IDs are shared between movie and series catalogs)
+ * @param {object} catalog - Catalog definition
+ * @returns {string} Key in the form "type:id"
+ */
+function getCatalogKey(catalog) {
+  return `${catalog.type}:${catalog.id}`;
+}
+
+/**
+ * Convert a catalog definition to a manifest catalog entry
+ * @param {object} definition - Catalog definition
+ * @param {string} [name] - Custom display name
+ * @returns {object} Manifest catalog
+ */
+function toManifestCatalog(definition, name = null) {
+  return {
+    type: definition.type,
+    id: definition.id,
+    name: name || definition.name,
+    extra: definition.extra.map(extra => ({ ...extra }))
+  };
+}
+
+/**
+ * Get the default manifest catalogs
+ * Catalogs built from the user's own Trakt data (sessionOnly) can only be empty without a session,
+ * so anonymous installs don't get them
+ * @param {boolean} [withSession] - Whether the manifest is a personalized one
+ * @returns {Array} Manifest catalogs
+ */
+function getDefaultCatalogs(withSession = false) {
+  return CATALOG_DEFINITIONS
+    .filter(definition => definition.enabledByDefault !== false && (withSession || !definition.sessionOnly))
+    .map(definition => toManifestCatalog(definition));
+}
+
+/**
+ * Get the Netflix country of a Top 10 catalog ID
+ * @param {string} catalogId - Catalog ID (e.g. "netflix-sweden-top10")
+ * @returns {string|null} Tudum country slug, or null if not a supported Netflix catalog
+ */
+function getNetflixCountry(catalogId) {
+  const match = catalogId.match(NETFLIX_CATALOG_REGEX);
+  if (!match || !config.netflix.countries[match[1]]) {
+    return null;
+  }
+  return match[1];
+}
+
+/**
+ * Get the country and view of a Netflix "New this week" / "Biggest climbers" catalog ID
+ * @param {string} catalogId - Catalog ID (e.g. "netflix-sweden-climbers")
+ * @returns {object|null} { country, view }, or null if not a supported movers catalog
+ */
+function getNetflixMovers(catalogId) {
+  const match = catalogId.match(NETFLIX_MOVERS_REGEX);
+  if (!match || !config.netflix.countries[match[1]]) {
+    return null;
+  }
+  return { country: match[1], view: match[2] };
+}
+
+/**
+ * Get the streaming service and country of a (non-Netflix) Top 10 catalog ID
+ * Service and country slugs both contain dashes, so the ID is matched against the configured services
+ * @param {string} catalogId - Catalog ID (e.g. "prime-video-united-states-top10")
+ * @returns {object|null} { service, country }, or null if not a supported streaming Top 10 catalog
+ */
+function getStreamingTop10(catalogId) {
+  for (const service of Object.keys(config.flixpatrol.services)) {
+    const prefix = `${service}-`;
+    if (catalogId.startsWith(prefix) && catalogId.endsWith('-top10')) {
+      const country = catalogId.slice(prefix.length, -'-top10'.length);
+      if (config.flixpatrol.countries.includes(country) && config.netflix.countries[country]) {
+        return { service, country };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the Trakt list ID of a user list catalog ID
+ * @param {string} catalogId - Catalog ID (e.g. "trakt-list-123")
+ * @returns {string|null} Trakt list ID, or null if not a list catalog
+ */
+function getListId(catalogId) {
+  const match = catalogId.match(LIST_CATALOG_REGEX);
+  return match ? match[1] : null;
+}
+
+/**
+ * Get the seed movie (TMDB ID) of a "Because you watched" catalog ID
+ * @param {string} catalogId - Catalog ID (e.g. "because-watched-603")
+ * @returns {string|null} TMDB ID, or null if not a "Because you watched" catalog
+ */
+function getBecauseWatchedSeed(catalogId) {
+  const match = catalogId.match(BECAUSE_WATCHED_REGEX);
+  return match ? match[1] : null;
+}
+
+/**
+ * Replace the "Because you watched" placeholder with one catalog per seed movie
+ * The placeholder's (possibly custom) name is used as the title prefix; without seeds it is removed
+ * @param {Array} catalogs - Manifest catalogs
+ * @param {Array} seeds - Seed movies ([{ tmdbId, title }])
+ * @returns {Array} Manifest catalogs
+ */
+function expandBecauseWatched(catalogs, seeds = []) {
+  return catalogs.flatMap(catalog => {
+    if (catalog.id !== BECAUSE_WATCHED_ID) {
+      return [catalog];
+    }
+    return seeds.map(seed => ({
+      ...catalog,
+      id: `${BECAUSE_WATCHED_ID}-${seed.tmdbId}`,
+      name: `${catalog.name} ${seed.title}`
+    }));
+  });
+}
+
+/**
+ * Resolve a user's catalog preferences into manifest catalogs
+ * Falls back to the defaults (plus any added Trakt lists) when the user hasn't picked catalogs
+ * @param {object} [preferences] - Session preferences ({ catalogs: [{ key, name }], lists: [...] })
+ * @returns {Array} Manifest catalogs in the user's order
+ */
+function resolveCatalogs(preferences = {}) {
+  const selection = preferences.catalogs;
+
+  if (!Array.isArray(selection) || selection.length === 0) {
+    return [
+      ...getDefaultCatalogs(true),
+      ...getListCatalogs(preferences.lists).map(definition => toManifestCatalog(definition))
+    ];
+  }
+
+  const definitions = new Map(getAvailableCatalogs(preferences).map(definition => [getCatalogKey(definition), definition]));
+
+  return selection
+    .filter(entry => definitions.has(entry.key))
+    .map(entry => toManifestCatalog(definitions.get(entry.key), entry.name));
+}
+
+/**
+ * Describe all catalogs for the configure page, user's selection first
+ * @param {object} [preferences] - Session preferences
+ * @returns {Array} Array of { key, type, id, defaultName, name, enabled }
+ */
+function describeCatalogs(preferences = {}) {
+  const available = getAvailableCatalogs(preferences);
+  const selected = resolveCatalogs(preferences);
+  const selectedKeys = new Set(selected.map(getCatalogKey));
+
+  const enabled = selected.map(catalog => {
+    const definition = available.find(d => getCatalogKey(d) === getCatalogKey(catalog));
+    return {
+      key: getCatalogKey(catalog),
+      type: catalog.type,
+      id: catalog.id,
+      defaultName: definition.name,
+      name: catalog.name,
+      enabled: true
+    };
+  });
+
+  const disabled = available
+    .filter(definition => !selectedKeys.has(getCatalogKey(definition)))
+    .map(definition => ({
+      key: getCatalogKey(definition),
+      type: definition.type,
+      id: definition.id,
+      defaultName: definition.name,
+      name: definition.name,
+      enabled: false
+    }));
+
+  return [...enabled, ...disabled];
+}
+
+/**
+ * Validate a catalog selection submitted from the configure page
+ * Unknown and duplicate keys are dropped, names are trimmed and length-limited
+ * @param {Array} input - Array of { key, name } in the desired order
+ * @param {object} [preferences] - Session preferences (for the user's Trakt list catalogs)
+ * @returns {Array} Sanitized selection
+ * @throws {Error} If the input is not an array or nothing valid was selected
+ */
+function sanitizeCatalogSelection(input, preferences = {}) {
+  if (!Array.isArray(input)) {
+    throw new Error('Catalog selection must be an array');
+  }
+
+  const knownKeys = new Set(getAvailableCatalogs(preferences).map(getCatalogKey));
+  const seen = new Set();
+  const selection = [];
+
+  for (const entry of input) {
+    if (!entry || typeof entry.key !== 'string' || !knownKeys.has(entry.key) || seen.has(entry.key)) {
+      continue;
+    }
+    seen.add(entry.key);
+
+    const name = typeof entry.name === 'string' ? entry.name.trim().substring(0, MAX_NAME_LENGTH) : '';
+    selection.push(name ? { key: entry.key, name } : { key: entry.key });
+  }
+
+  if (selection.length === 0) {
+    throw new Error('Select at least one catalog');
+  }
+
+  return selection;
+}
+
+module.exports = {
+  CATALOG_DEFINITIONS,
+  getCatalogKey,
+  getDefaultCatalogs,
+  getListCatalogs,
+  getNetflixCountry,
+  getNetflixMovers,
+  getStreamingTop10,
+  getListId,
+  getBecauseWatchedSeed,
+  expandBecauseWatched,
+  resolveCatalogs,
+  describeCatalogs,
+  sanitizeCatalogSelection
+};
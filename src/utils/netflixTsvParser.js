@@ -0,0 +1,88 @@
+/**
+ * Netflix Top 10 TSV Parser
+ * Parses the weekly Top 10 datasets Netflix publishes on Tudum
+ * (all-weeks-countries.tsv and all-weeks-global.tsv)
+ */
+
+// Categories read from each dataset; the global list defaults to the English rankings, like Tudum
+const CATEGORIES = {
+  countries: { Films: 'movie', TV: 'series' },
+  global: { 'Films (English)': 'movie', 'TV (English)': 'series' }
+};
+
+/**
+ * Parse Netflix Top 10 TSV text, keeping only the latest week of each country
+ * @param {string} tsvText - Raw TSV text (either dataset)
+ * @returns {object} { dataset: 'countries' | 'global', rankings: { [countryName]: { week, movie: [...], series: [...] } } }
+ *   with ranking items { rank, title, season, weeks }; the global dataset is keyed 'Global'
+ */
+function parseNetflixTop10TSV(tsvText) {
+  const lines = tsvText.split('\n').map(line => line.replace(/\r$/, '')).filter(line => line.trim());
+
+  if (lines.length === 0) {
+    throw new Error('TSV file is empty');
+  }
+
+  // Parse header
+  const header = lines[0].split('\t').map(h => h.trim().toLowerCase());
+  const column = (name) => header.indexOf(name);
+  const dataset = column('country_name') !== -1 ? 'countries' : 'global';
+  const required = ['week', 'category', 'weekly_rank', 'show_title'];
+  const missing = required.filter(name => column(name) === -1);
+
+  if (missing.length > 0) {
+    throw new Error(`TSV is missing columns: ${missing.join(', ')}`);
+  }
+
+  const indexes = {
+    country: column('country_name'),
+    week: column('week'),
+    category: column('category'),
+    rank: column('weekly_rank'),
+    title: column('show_title'),
+    season: column('season_title'),
+    weeks: column('cumulative_weeks_in_top_10')
+  };
+
+  // Parse data rows, keeping the latest week per country
+  const rankings = {};
+
+  for (let i = 1; i < lines.length; i++) {
+    const row = lines[i].split('\t');
+    const type = CATEGORIES[dataset][row[indexes.category]];
+    const country = dataset === 'countries' ? row[indexes.country] : 'Global';
+    const week = row[indexes.week];
+    const rank = parseInt(row[indexes.rank], 10);
+    const title = (row[indexes.title] || '').trim();
+
+    if (!type || !country || !week || !title || isNaN(rank)) continue;
+
+    const current = rankings[country];
+    if (current && current.week > week) continue;
+    if (!current || current.week < week) {
+      rankings[country] = { week, movie: [], series: [] };
+    }
+
+    const season = indexes.season !== -1 ? (row[indexes.season] || '').trim() : '';
+    rankings[country][type].push({
+      rank,
+      title,
+      season: season && season !== 'N/A' ? season : null,
+      weeks: indexes.weeks !== -1 ? row[indexes.weeks] : 'N/A'
+    });
+  }
+
+  for (const ranking of Object.values(rankings)) {
+    ranking.movie.sort((a, b) => a.rank - b.rank);
+    ranking.series.sort((a, b) => a.rank - b.rank);
+  }
+
+  return {
+    dataset,
+    rankings
+  };
+}
+
+module.exports = {
+  parseNetflixTop10TSV
+};
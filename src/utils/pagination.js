@@ -0,0 +1,43 @@
+/**
+ * Pagination helpers
+ * Stremio asks for the next page with skip = number of items it already has,
+ * so a page that comes back short (e.g. after filtering) looks like the end of the catalog
+ */
+
+const PAGE_SIZE = 20;
+// Source pages read per page served, at most (bounds the work when most titles are filtered out)
+const MAX_PAGES_PER_PAGE = 3;
+
+/**
+ * Serve a full page of filtered items by reading consecutive source pages
+ * Filtered positions are counted from the start of the source, so skip lines up with
+ * what Stremio has already received
+ * @param {function} fetchPage - async (sourceSkip) => Array, one source page
+ * @param {function} keep - (item) => boolean, false for items to filter out
+ * @param {number} skip - Number of filtered items to skip
+ * @param {number} pageSize - Items per page (default: 20)
+ * @returns {Promise<Array>} Up to pageSize filtered items
+ */
+async function fillPage(fetchPage, keep, skip = 0, pageSize = PAGE_SIZE) {
+  const maxPages = Math.ceil((skip + pageSize) / pageSize) * MAX_PAGES_PER_PAGE;
+  const kept = [];
+  let sourceSkip = 0;
+
+  for (let pages = 0; pages < maxPages && kept.length < skip + pageSize; pages++) {
+    const page = await fetchPage(sourceSkip);
+    kept.push(...page.filter(keep));
+    sourceSkip += page.length;
+
+    // A short page is the end of the source
+    if (page.length < pageSize) {
+      break;
+    }
+  }
+
+  return kept.slice(skip, skip + pageSize);
+}
+
+module.exports = {
+  PAGE_SIZE,
+  fillPage
+};
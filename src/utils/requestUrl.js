@@ -0,0 +1,31 @@
+/**
+ * Request URL helpers
+ */
+
+/**
+ * Get base URL from the actual request (supports any Vercel URL including previews)
+ * @param {object} req - Express request
+ * @returns {string} Base URL (e.g. https://example.vercel.app)
+ */
+function getBaseUrl(req) {
+  const host = req.get('host');
+  
+  // Vercel always uses HTTPS, localhost uses HTTP
+  let protocol = 'http';
+  
+  // Check if running on Vercel or if the request came through HTTPS
+  if (process.env.VERCEL || req.get('x-forwarded-proto') === 'https' || req.secure) {
+    protocol = 'https';
+  }
+  
+  // For localhost, keep HTTP
+  if (host && host.includes('localhost')) {
+    protocol = 'http';
+  }
+  
+  return `${protocol}://${host}`;
+}
+
+module.exports = {
+  getBaseUrl
+};
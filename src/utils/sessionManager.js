@@ -179,6 +179,33 @@ async function isValidSession(sessionId) {
   return !!session;
 }
 
+/**
+ * Get user preferences stored with the session (catalog selection, etc.)
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<object>} Preferences (empty object if none saved)
+ */
+async function getPreferences(sessionId) {
+  const session = await getSession(sessionId);
+  return session?.preferences || {};
+}
+
+/**
+ * Merge updates into the preferences stored with the session
+ * @param {string} sessionId - Session ID
+ * @param {object} updates - Preference fields to update
+ * @returns {Promise<boolean>} Success status
+ */
+async function updatePreferences(sessionId, updates) {
+  const session = await getSession(sessionId);
+  if (!session) {
+    return false;
+  }
+
+  return updateSession(sessionId, {
+    preferences: { ...(session.preferences || {}), ...updates }
+  });
+}
+
 /**
  * Create and store a pair code for a session
  * @param {string} sessionId - Session ID
@@ -239,6 +266,8 @@ module.exports = {
   updateSession,
   deleteSession,
   isValidSession,
+  getPreferences,
+  updatePreferences,
   createPairCode,
   getSessionByPairCode
 };
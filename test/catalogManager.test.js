@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+/**
+ * Catalog selection: sanitizing what the configure page saves and resolving it into manifest catalogs
+ */
+
+const {
+  getCatalogKey,
+  getDefaultCatalogs,
+  resolveCatalogs,
+  sanitizeCatalogSelection
+} = require('../src/utils/catalogManager');
+
+const lists = [{ id: '123', name: 'Weekend Picks' }];
+
+test('sanitizeCatalogSelection keeps known keys in order and drops unknown and duplicate ones', () => {
+  const selection = sanitizeCatalogSelection([
+    { key: 'series:trakt-trending' },
+    { key: 'movie:does-not-exist' },
+    { key: 'movie:trakt-trending', name: '  Hot right now  ' },
+    { key: 'series:trakt-trending', name: 'Duplicate' },
+    null,
+    { key: 42 }
+  ]);
+
+  assert.deepStrictEqual(selection, [
+    { key: 'series:trakt-trending' },
+    { key: 'movie:trakt-trending', name: 'Hot right now' }
+  ]);
+});
+
+test('sanitizeCatalogSelection trims custom names to 50 characters', () => {
+  const [entry] = sanitizeCatalogSelection([{ key: 'movie:trakt-trending', name: 'x'.repeat(80) }]);
+  assert.strictEqual(entry.name.length, 50);
+});
+
+test('sanitizeCatalogSelection accepts the user\'s own Trakt lists only', () => {
+  const input = [{ key: 'movie:trakt-list-123' }, { key: 'movie:trakt-list-999' }];
+
+  assert.deepStrictEqual(sanitizeCatalogSelection(input, { lists }), [{ key: 'movie:trakt-list-123' }]);
+  assert.throws(() => sanitizeCatalogSelection(input), /Select at least one catalog/);
+});
+
+test('sanitizeCatalogSelection rejects non-arrays and empty selections', () => {
+  assert.throws(() => sanitizeCatalogSelection({ key: 'movie:trakt-trending' }), /must be an array/);
+  assert.throws(() => sanitizeCatalogSelection([]), /Select at least one catalog/);
+});
+
+test('resolveCatalogs falls back to the personalized defaults plus the user\'s lists', () => {
+  const catalogs = resolveCatalogs({ lists });
+  const keys = catalogs.map(getCatalogKey);
+
+  assert.deepStrictEqual(keys.slice(0, -2), getDefaultCatalogs(true).map(getCatalogKey));
+  assert.deepStrictEqual(keys.slice(-2), ['movie:trakt-list-123', 'series:trakt-list-123']);
+  assert.strictEqual(catalogs[catalogs.length - 1].name, 'Weekend Picks');
+});
+
+test('resolveCatalogs follows the saved order and names and skips catalogs that no longer exist', () => {
+  const catalogs = resolveCatalogs({
+    lists,
+    catalogs: [
+      { key: 'series:trakt-list-123', name: 'Binge' },
+      { key: 'movie:removed-catalog' },
+      { key: 'movie:trakt-trending' }
+    ]
+  });
+
+  assert.deepStrictEqual(catalogs.map(c => [getCatalogKey(c), c.name]), [
+    ['series:trakt-list-123', 'Binge'],
+    ['movie:trakt-trending', 'Trending']
+  ]);
+});
+
+test('anonymous defaults leave out catalogs that need a session', () => {
+  const anonymous = new Set(getDefaultCatalogs().map(getCatalogKey));
+  const personalized = getDefaultCatalogs(true).map(getCatalogKey);
+
+  assert.ok(personalized.includes('movie:trakt-watchlist'));
+  assert.ok(!anonymous.has('movie:trakt-watchlist'));
+  assert.ok(anonymous.has('movie:trakt-trending'));
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+/**
+ * "Hide watched": watched titles are filtered out of catalogs and pages refilled from the next source pages
+ * Trakt (node-fetch) and the session tokens are stubbed; the cache runs in memory (no REDIS_URL)
+ */
+
+let watchedMovies = [];
+
+// Stub node-fetch before the Trakt service loads it
+const fetchPath = require.resolve('node-fetch');
+require.cache[fetchPath] = {
+  id: fetchPath,
+  filename: fetchPath,
+  loaded: true,
+  exports: async (url) => {
+    if (url.endsWith('/sync/watched/movies')) {
+      return { ok: true, json: async () => watchedMovies };
+    }
+    return { ok: false, status: 503, json: async () => ({}) };
+  }
+};
+
+delete process.env.REDIS_URL;
+delete process.env.KV_URL;
+
+const tokenManager = require('../src/utils/tokenManager');
+tokenManager.getAccessToken = async (sessionId) => (sessionId === 'anonymous' ? null : 'token');
+tokenManager.loadTokens = async () => null;
+
+const traktService = require('../src/services/traktService');
+const { fillPage } = require('../src/utils/pagination');
+
+/** A source of numbered metas, tt0000000 to tt(total - 1) */
+function createSource(total) {
+  const calls = [];
+  const fetchPage = async (skip) => {
+    calls.push(skip);
+    return Array.from({ length: Math.max(0, Math.min(20, total - skip)) }, (_, i) => ({
+      id: `tt${String(skip + i).padStart(7, '0')}`
+    }));
+  };
+  return { fetchPage, calls };
+}
+
+test('fillPage refills a page from the next source pages', async () => {
+  const { fetchPage, calls } = createSource(100);
+  const keep = meta => Number(meta.id.substring(2)) % 2 === 0;
+
+  const first = await fillPage(fetchPage, keep, 0);
+  assert.strictEqual(first.length, 20);
+  assert.strictEqual(first[19].id, 'tt0000038');
+  assert.deepStrictEqual(calls, [0, 20]);
+
+  // The second page continues right after the first one
+  const second = await fillPage(fetchPage, keep, 20);
+  assert.strictEqual(second[0].id, 'tt0000040');
+});
+
+test('fillPage stops at the end of the source and after a bounded number of pages', async () => {
+  const short = createSource(25);
+  const page = await fillPage(short.fetchPage, () => true, 0);
+  assert.strictEqual(page.length, 20);
+
+  const rest = await fillPage(short.fetchPage, () => true, 20);
+  assert.strictEqual(rest.length, 5);
+
+  const endless = createSource(10000);
+  const empty = await fillPage(endless.fetchPage, () => false, 0);
+  assert.deepStrictEqual(empty, []);
+  assert.strictEqual(endless.calls.length, 3);
+});
+
+test('isWatched matches IMDb, trakt: and tmdb: IDs', () => {
+  const watched = { imdb: new Set(['tt0133093']), trakt: new Set(['481']), tmdb: new Set(['603']) };
+
+  assert.strictEqual(traktService.isWatched({ id: 'tt0133093' }, watched), true);
+  assert.strictEqual(traktService.isWatched({ id: 'trakt:481' }, watched), true);
+  assert.strictEqual(traktService.isWatched({ id: 'tmdb:603' }, watched), true);
+  assert.strictEqual(traktService.isWatched({ id: 'tmdb:604' }, watched), false);
+  assert.strictEqual(traktService.isWatched({ id: 'netflix:1' }, watched), false);
+});
+
+test('watched movies are hidden from a page by any of their IDs', async () => {
+  watchedMovies = [
+    { movie: { ids: { trakt: 1, imdb: 'tt0000001', tmdb: 11 } } },
+    { movie: { ids: { trakt: 2, imdb: 'tt0000002', tmdb: 12 } } }
+  ];
+  const hidden = await traktService.getHiddenIds('session-hide', 'movie', { movies: true, series: 'off' });
+  const source = async () => [{ id: 'tt0000001' }, { id: 'tmdb:12' }, { id: 'tt0000003' }, { id: 'tmdb:13' }];
+
+  const page = await fillPage(source, meta => !traktService.isWatched(meta, hidden), 0);
+  assert.deepStrictEqual(page.map(meta => meta.id), ['tt0000003', 'tmdb:13']);
+});
+
+test('hidden IDs are off unless enabled, and empty sets without Trakt access', async () => {
+  assert.strictEqual(await traktService.getHiddenIds('session-hide', 'movie', { movies: false }), null);
+  assert.strictEqual(await traktService.getHiddenIds('session-hide', 'series', { series: 'off' }), null);
+
+  const empty = { imdb: new Set(), trakt: new Set(), tmdb: new Set() };
+  assert.deepStrictEqual(await traktService.getHiddenIds('anonymous', 'movie', { movies: true }), empty);
+  assert.deepStrictEqual(await traktService.getHiddenIds('session-hide', 'series', { series: 'completed' }), empty);
+  assert.deepStrictEqual(await traktService.getHiddenIds('anonymous', 'series', { series: 'started' }), empty);
+
+  // Unreadable Trakt data hides nothing (and doesn't throw) for tmdb: IDs either
+  assert.strictEqual(traktService.isWatched({ id: 'tmdb:603' }, empty), false);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+/**
+ * Netflix Top 10 TSV datasets: parsing the latest week per country and ingesting it
+ * Downloads (node-fetch) are stubbed to fail; the cache runs in memory (no REDIS_URL)
+ */
+
+const fetchPath = require.resolve('node-fetch');
+require.cache[fetchPath] = {
+  id: fetchPath,
+  filename: fetchPath,
+  loaded: true,
+  exports: async () => ({ ok: false, status: 503, text: async () => '' })
+};
+
+delete process.env.REDIS_URL;
+delete process.env.KV_URL;
+
+const { parseNetflixTop10TSV } = require('../src/utils/netflixTsvParser');
+const netflixTsvService = require('../src/services/netflixTsvService');
+
+const COUNTRIES_HEADER = 'country_name\tcountry_iso2\tweek\tcategory\tweekly_rank\tshow_title\tseason_title\tcumulative_weeks_in_top_10';
+const GLOBAL_HEADER = 'week\tcategory\tweekly_rank\tshow_title\tseason_title\tweekly_hours_viewed\tcumulative_weeks_in_top_10';
+
+/** Build TSV text from a header and rows of columns */
+function toTsv(header, rows) {
+  return [header, ...rows.map(row => row.join('\t'))].join('\r\n');
+}
+
+/** A date (YYYY-MM-DD) some days from today */
+function daysFromToday(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+}
+
+test('parser keeps the latest week of each country, sorted by rank', () => {
+  const { dataset, rankings } = parseNetflixTop10TSV(toTsv(COUNTRIES_HEADER, [
+    ['Sweden', 'SE', '2025-01-05', 'Films', '2', 'Older Film', 'N/A', '1'],
+    ['Sweden', 'SE', '2025-01-12', 'TV', '1', 'Show', 'Show: Season 2', '3'],
+    ['Sweden', 'SE', '2025-01-12', 'Films', '2', 'Second Film', 'N/A', '1'],
+    ['Sweden', 'SE', '2025-01-12', 'Films', '1', 'First Film', 'N/A', '4'],
+    ['Norway', 'NO', '2025-01-12', 'Films', '1', 'Norwegian Film', '', '2']
+  ]));
+
+  assert.strictEqual(dataset, 'countries');
+  assert.deepStrictEqual(Object.keys(rankings).sort(), ['Norway', 'Sweden']);
+  assert.strictEqual(rankings.Sweden.week, '2025-01-12');
+  assert.deepStrictEqual(rankings.Sweden.movie.map(item => item.title), ['First Film', 'Second Film']);
+  assert.deepStrictEqual(rankings.Sweden.series, [{ rank: 1, title: 'Show', season: 'Show: Season 2', weeks: '3' }]);
+  assert.strictEqual(rankings.Sweden.movie[0].season, null);
+});
+
+test('parser reads the English lists of the global dataset', () => {
+  const { dataset, rankings } = parseNetflixTop10TSV(toTsv(GLOBAL_HEADER, [
+    ['2025-01-12', 'Films (English)', '1', 'English Film', 'N/A', '1000', '2'],
+    ['2025-01-12', 'Films (Non-English)', '1', 'Other Film', 'N/A', '900', '1'],
+    ['2025-01-12', 'TV (English)', '1', 'English Show', 'English Show: Season 1', '800', '1']
+  ]));
+
+  assert.strictEqual(dataset, 'global');
+  assert.deepStrictEqual(rankings.Global.movie.map(item => item.title), ['English Film']);
+  assert.deepStrictEqual(rankings.Global.series.map(item => item.title), ['English Show']);
+});
+
+test('parser skips invalid rows and rejects empty or incomplete files', () => {
+  const { rankings } = parseNetflixTop10TSV(toTsv(COUNTRIES_HEADER, [
+    ['Sweden', 'SE', '2025-01-12', 'Films', 'first', 'No Rank', 'N/A', '1'],
+    ['Sweden', 'SE', '2025-01-12', 'Podcasts', '1', 'Unknown Category', 'N/A', '1'],
+    ['Sweden', 'SE', '2025-01-12', 'Films', '1', '', 'N/A', '1']
+  ]));
+  assert.deepStrictEqual(rankings, {});
+
+  assert.throws(() => parseNetflixTop10TSV('\n\n'), /TSV file is empty/);
+  assert.throws(() => parseNetflixTop10TSV('country_name\tweek\tcategory\n'), /missing columns: weekly_rank, show_title/);
+});
+
+test('ingestion stores the Top 10 per configured country under its chart week', async () => {
+  const result = await netflixTsvService.ingestTsv(toTsv(COUNTRIES_HEADER, [
+    ['Sweden', 'SE', '2025-01-12', 'Films', '1', 'First Film', 'N/A', '4'],
+    ['Atlantis', 'AT', '2025-01-12', 'Films', '1', 'Unknown Country', 'N/A', '1']
+  ]), 'upload');
+
+  assert.deepStrictEqual(result, { dataset: 'countries', countries: ['sweden'], weeks: { sweden: '2025-01-06' } });
+
+  const top10 = await netflixTsvService.getTop10('sweden', 'movie');
+  assert.strictEqual(top10.week, '2025-01-06');
+  assert.deepStrictEqual(top10.items.map(item => item.title), ['First Film']);
+});
+
+test('ingestion rejects weeks that haven\'t ended yet and keeps the stored Top 10', async () => {
+  const future = daysFromToday(3);
+
+  await assert.rejects(
+    netflixTsvService.ingestTsv(toTsv(COUNTRIES_HEADER, [
+      ['Sweden', 'SE', future, 'Films', '1', 'Future Film', 'N/A', '1']
+    ]), 'upload'),
+    new RegExp(`weeks in the future \\(${future}\\)`)
+  );
+
+  const top10 = await netflixTsvService.getTop10('sweden', 'movie');
+  assert.deepStrictEqual(top10.items.map(item => item.title), ['First Film']);
+});
+
+test('ingestion never replaces a newer week with an older one', async () => {
+  const result = await netflixTsvService.ingestTsv(toTsv(COUNTRIES_HEADER, [
+    ['Sweden', 'SE', '2025-01-05', 'Films', '1', 'Older Film', 'N/A', '1']
+  ]), 'upload');
+
+  assert.deepStrictEqual(result.countries, []);
+  const top10 = await netflixTsvService.getTop10('sweden', 'movie');
+  assert.strictEqual(top10.week, '2025-01-06');
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+/**
+ * Settings submitted from the configure page: normalized on save, rejected when out of range
+ */
+
+delete process.env.REDIS_URL;
+delete process.env.KV_URL;
+
+const { sanitizeDiscoverSettings } = require('../src/services/tmdbService');
+const { sanitizeHideWatched } = require('../src/services/traktService');
+
+test('sanitizeDiscoverSettings normalizes region, languages and thresholds', () => {
+  const settings = sanitizeDiscoverSettings({
+    watchRegion: ' se ',
+    excludeLanguages: 'JA, ru,,ja ',
+    minVotes: '150',
+    minRating: '6.5'
+  });
+
+  assert.deepStrictEqual(settings, {
+    watchRegion: 'SE',
+    excludeLanguages: ['ja', 'ru'],
+    minVotes: 150,
+    minRating: 6.5
+  });
+});
+
+test('sanitizeDiscoverSettings accepts a language array and an empty region', () => {
+  const settings = sanitizeDiscoverSettings({ watchRegion: '', excludeLanguages: ['HI'], minVotes: 0, minRating: 0 });
+  assert.deepStrictEqual(settings, { watchRegion: '', excludeLanguages: ['hi'], minVotes: 0, minRating: 0 });
+});
+
+test('sanitizeDiscoverSettings rejects invalid settings', () => {
+  const valid = { watchRegion: 'SE', excludeLanguages: [], minVotes: 100, minRating: 6 };
+
+  assert.throws(() => sanitizeDiscoverSettings(null), /must be an object/);
+  assert.throws(() => sanitizeDiscoverSettings({ ...valid, watchRegion: 'SWE' }), /Watch region/);
+  assert.throws(() => sanitizeDiscoverSettings({ ...valid, excludeLanguages: 'english' }), /Excluded languages/);
+  assert.throws(() => sanitizeDiscoverSettings({ ...valid, minVotes: -1 }), /Minimum votes/);
+  assert.throws(() => sanitizeDiscoverSettings({ ...valid, minVotes: 'many' }), /Minimum votes/);
+  assert.throws(() => sanitizeDiscoverSettings({ ...valid, minRating: 11 }), /Minimum rating/);
+});
+
+test('sanitizeHideWatched keeps a strict boolean for movies and defaults series to off', () => {
+  assert.deepStrictEqual(sanitizeHideWatched({ movies: true, series: 'started' }), { movies: true, series: 'started' });
+  assert.deepStrictEqual(sanitizeHideWatched({ movies: 'true' }), { movies: false, series: 'off' });
+  assert.deepStrictEqual(sanitizeHideWatched({}), { movies: false, series: 'off' });
+});
+
+test('sanitizeHideWatched rejects unknown series modes', () => {
+  assert.throws(() => sanitizeHideWatched(null), /must be an object/);
+  assert.throws(() => sanitizeHideWatched({ movies: true, series: 'all' }), /Series mode must be one of: off, completed, started/);
+});
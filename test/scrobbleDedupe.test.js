@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+/**
+ * Duplicate-play protection: a play is claimed before it is sent, so it reaches Trakt once per dedupe window
+ * Trakt (node-fetch) and the session tokens are stubbed; the cache runs in memory (no REDIS_URL)
+ */
+
+const sentPlays = [];
+let history = [];
+let postStatus = 200;
+
+// Stub node-fetch before the scrobble service loads it
+const fetchPath = require.resolve('node-fetch');
+require.cache[fetchPath] = {
+  id: fetchPath,
+  filename: fetchPath,
+  loaded: true,
+  exports: async (url, options = {}) => {
+    // Slow enough that concurrent commits overlap
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    if (url.includes('/sync/history/')) {
+      return { ok: true, json: async () => history };
+    }
+    if (url.endsWith('/sync/history')) {
+      const body = JSON.parse(options.body);
+      sentPlays.push(body.movies ? body.movies[0].ids.imdb : body.shows[0].ids.imdb);
+      if (postStatus !== 200) {
+        return { ok: false, status: postStatus, statusText: 'Error', text: async () => '', headers: { get: () => null } };
+      }
+      return { ok: true, json: async () => ({ added: { movies: 1, episodes: 1 }, not_found: {} }) };
+    }
+    return { ok: false, status: 404, json: async () => ({}) };
+  }
+};
+
+delete process.env.REDIS_URL;
+delete process.env.KV_URL;
+process.env.VERCEL = '1'; // No in-process timers
+
+const tokenManager = require('../src/utils/tokenManager');
+tokenManager.isAuthenticated = async () => true;
+tokenManager.getAccessToken = async () => 'token';
+tokenManager.loadTokens = async () => ({ client_id: 'client' });
+
+const cache = require('../src/utils/cache');
+const scrobbleService = require('../src/services/scrobbleService');
+
+test.beforeEach(() => {
+  sentPlays.length = 0;
+  history = [];
+  postStatus = 200;
+});
+
+test('concurrent commits of the same play send it to Trakt once', async () => {
+  const results = await Promise.all(
+    Array.from({ length: 5 }, () => scrobbleService.markAsWatched('test-session-dedupe', 'tt0000101', 'movie'))
+  );
+
+  assert.deepStrictEqual(sentPlays, ['tt0000101']);
+  assert.strictEqual(results.filter(result => result.duplicate).length, 4);
+  assert.ok(results.every(result => result.success));
+  assert.ok(await cache.get('scrobble:synced:test-session-dedupe:tt0000101'));
+});
+
+test('episodes are claimed per season and episode', async () => {
+  await scrobbleService.markAsWatched('test-session-dedupe', 'tt0000102', 'series', 1, 1);
+  await scrobbleService.markAsWatched('test-session-dedupe', 'tt0000102', 'series', 1, 2);
+  const again = await scrobbleService.markAsWatched('test-session-dedupe', 'tt0000102', 'series', 1, 1);
+
+  assert.deepStrictEqual(sentPlays, ['tt0000102', 'tt0000102']);
+  assert.strictEqual(again.duplicate, true);
+});
+
+test('plays already in the recent Trakt history are not sent again', async () => {
+  history = [{ movie: { ids: { imdb: 'tt0000103' } }, watched_at: new Date().toISOString() }];
+  const result = await scrobbleService.markAsWatched('test-session-dedupe', 'tt0000103', 'movie');
+
+  assert.strictEqual(result.duplicate, true);
+  assert.deepStrictEqual(sentPlays, []);
+});
+
+test('a play that doesn\'t reach Trakt releases its claim', async () => {
+  postStatus = 422;
+  const failed = await scrobbleService.markAsWatched('test-session-dedupe', 'tt0000104', 'movie');
+  assert.strictEqual(failed.success, false);
+  assert.strictEqual(await cache.get('scrobble:synced:test-session-dedupe:tt0000104'), null);
+
+  postStatus = 200;
+  const retried = await scrobbleService.markAsWatched('test-session-dedupe', 'tt0000104', 'movie');
+  assert.strictEqual(retried.added, 1);
+  assert.deepStrictEqual(sentPlays, ['tt0000104', 'tt0000104']);
+});
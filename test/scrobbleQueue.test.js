@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+/**
+ * Retry queue: concurrent drains of the same session must send each queued play to Trakt once,
+ * and concurrent queue changes must not overwrite each other
+ * Trakt (node-fetch) and the session tokens are stubbed; the cache runs in memory (no REDIS_URL)
+ * Plays of IMDB IDs starting with tt9 fail with a Trakt outage (503), so they are queued
+ */
+
+const sentPlays = [];
+
+// Stub node-fetch before the scrobble service loads it
+const fetchPath = require.resolve('node-fetch');
+require.cache[fetchPath] = {
+  id: fetchPath,
+  filename: fetchPath,
+  loaded: true,
+  exports: async (url, options = {}) => {
+    // Slow enough that concurrent drains overlap
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    if (url.includes('/sync/history/')) {
+      return { ok: true, json: async () => [] };
+    }
+    if (url.endsWith('/sync/history')) {
+      const body = JSON.parse(options.body);
+      const imdbId = body.movies ? body.movies[0].ids.imdb : body.shows[0].ids.imdb;
+      if (imdbId.startsWith('tt9')) {
+        return { ok: false, status: 503, statusText: 'Service Unavailable', text: async () => '', headers: { get: () => null } };
+      }
+      sentPlays.push(imdbId);
+      return { ok: true, json: async () => ({ added: { movies: 1, episodes: 1 }, not_found: {} }) };
+    }
+    return { ok: false, status: 404, json: async () => ({}) };
+  }
+};
+
+delete process.env.REDIS_URL;
+delete process.env.KV_URL;
+process.env.VERCEL = '1'; // No in-process timers
+
+const tokenManager = require('../src/utils/tokenManager');
+tokenManager.isAuthenticated = async () => true;
+tokenManager.getAccessToken = async () => 'token';
+tokenManager.loadTokens = async () => ({ client_id: 'client' });
+
+const cache = require('../src/utils/cache');
+const scrobbleService = require('../src/services/scrobbleService');
+
+// Cache reads and writes take a moment, like Redis round trips, so concurrent read-modify-writes interleave
+for (const name of ['get', 'set']) {
+  const original = cache[name];
+  test.mock.method(cache, name, async function (...args) {
+    await new Promise(resolve => setImmediate(resolve));
+    return original.apply(this, args);
+  });
+}
+
+// The services log every cache access; that much output interleaved with the test runner's
+// own messages can make Node 20's runner fail to read them
+test.mock.method(console, 'log', () => {});
+
+test('concurrent drains send each queued play exactly once', async () => {
+  const sessionId = 'test-session-queue';
+  const due = new Date(Date.now() - 1000).toISOString();
+  const queue = ['tt0000001', 'tt0000002', 'tt0000003'].map(imdbId => ({
+    id: imdbId,
+    play: { imdbId, type: 'movie', season: null, episode: null, watchedAt: due },
+    status: 'pending',
+    attempts: 1,
+    queuedAt: due,
+    nextAttemptAt: due,
+    lastError: 'ECONNRESET'
+  }));
+  await cache.set(`scrobble:queue:${sessionId}`, queue, 60 * 1000);
+
+  const results = await Promise.all([
+    scrobbleService.drainQueue(sessionId),
+    scrobbleService.drainQueue(sessionId),
+    scrobbleService.drainQueue(sessionId)
+  ]);
+
+  assert.deepStrictEqual([...sentPlays].sort(), ['tt0000001', 'tt0000002', 'tt0000003']);
+  assert.strictEqual(results.filter(Boolean).length, 1, 'only one drain should hold the lock');
+  assert.strictEqual(results.find(Boolean).synced, 3);
+
+  const remaining = await scrobbleService.getQueue(sessionId);
+  assert.deepStrictEqual(remaining, { pending: [], failed: [] });
+});
+
+test('concurrently queued plays are all kept', async () => {
+  const sessionId = 'test-session-enqueue';
+  const imdbIds = ['tt9000001', 'tt9000002', 'tt9000003', 'tt9000004', 'tt9000005'];
+
+  const results = await Promise.all(imdbIds.map(imdbId => scrobbleService.markAsWatched(sessionId, imdbId, 'movie')));
+  assert.ok(results.every(result => result.queued));
+
+  const { pending } = await scrobbleService.getQueue(sessionId);
+  assert.deepStrictEqual(pending.map(entry => entry.id).sort(), imdbIds);
+  assert.ok((await cache.getSetMembers('scrobble:queue:sessions')).includes(sessionId));
+});
+
+test('plays queued while a drain runs are kept', async () => {
+  const sessionId = 'test-session-drain-enqueue';
+  const due = new Date(Date.now() - 1000).toISOString();
+  const queue = ['tt0000011', 'tt0000012'].map(imdbId => ({
+    id: imdbId,
+    play: { imdbId, type: 'movie', season: null, episode: null, watchedAt: due },
+    status: 'pending',
+    attempts: 1,
+    queuedAt: due,
+    nextAttemptAt: due,
+    lastError: 'ECONNRESET'
+  }));
+  await cache.set(`scrobble:queue:${sessionId}`, queue, 60 * 1000);
+
+  const [summary] = await Promise.all([
+    scrobbleService.drainQueue(sessionId),
+    scrobbleService.markAsWatched(sessionId, 'tt9000011', 'movie'),
+    scrobbleService.markAsWatched(sessionId, 'tt9000012', 'movie')
+  ]);
+
+  assert.strictEqual(summary.synced, 2);
+  const { pending } = await scrobbleService.getQueue(sessionId);
+  assert.deepStrictEqual(pending.map(entry => entry.id).sort(), ['tt9000011', 'tt9000012']);
+});
+
+test('failed plays retried and dismissed at the same time are either retried or dismissed', async () => {
+  const sessionId = 'test-session-failed';
+  const failedAt = new Date().toISOString();
+  const queue = ['tt9000021', 'tt9000022'].map(imdbId => ({
+    id: imdbId,
+    play: { imdbId, type: 'movie', season: null, episode: null, watchedAt: failedAt },
+    status: 'failed',
+    attempts: 10,
+    queuedAt: failedAt,
+    nextAttemptAt: null,
+    lastError: 'Trakt API error: 503'
+  }));
+  await cache.set(`scrobble:queue:${sessionId}`, queue, 60 * 1000);
+
+  const [requeued, removed] = await Promise.all([
+    scrobbleService.retryFailed(sessionId),
+    scrobbleService.clearFailed(sessionId)
+  ]);
+
+  // Retried first, so there is nothing left to dismiss: each play is either retried or dismissed, never both
+  assert.deepStrictEqual([requeued, removed], [2, 0]);
+  const { pending, failed } = await scrobbleService.getQueue(sessionId);
+  assert.deepStrictEqual(pending.map(entry => entry.id).sort(), ['tt9000021', 'tt9000022']);
+  assert.deepStrictEqual(failed, []);
+  assert.ok((await cache.getSetMembers('scrobble:queue:sessions')).includes(sessionId));
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+/**
+ * Stremio IDs: only IMDB movie IDs and IMDB episode IDs (with numeric season and episode) start pending watches
+ * The cache runs in memory (no REDIS_URL); runtimes are stubbed
+ */
+
+delete process.env.REDIS_URL;
+delete process.env.KV_URL;
+process.env.VERCEL = '1'; // No in-process timers
+
+const cache = require('../src/utils/cache');
+const tmdbService = require('../src/services/tmdbService');
+tmdbService.getRuntime = async () => 100;
+
+const scrobbleService = require('../src/services/scrobbleService');
+const { parseStremioId } = scrobbleService;
+
+const NONE = { imdbId: null, season: null, episode: null };
+
+test('parseStremioId reads IMDB movie and episode IDs', () => {
+  assert.deepStrictEqual(parseStremioId('tt0133093'), { imdbId: 'tt0133093', season: null, episode: null });
+  assert.deepStrictEqual(parseStremioId('tt0903747:5:14'), { imdbId: 'tt0903747', season: 5, episode: 14 });
+  assert.deepStrictEqual(parseStremioId('tt0903747:0:3', 'series'), { imdbId: 'tt0903747', season: 0, episode: 3 });
+});
+
+test('parseStremioId rejects IDs that can\'t be sent to Trakt', () => {
+  for (const id of [undefined, null, '', 'tmdb:603', 'netflix:80057281', 'top10:sweden:1', 'trakt:481', 'tt', 'ttabc']) {
+    assert.deepStrictEqual(parseStremioId(id), NONE, String(id));
+  }
+});
+
+test('parseStremioId rejects malformed season and episode numbers', () => {
+  for (const id of ['tt0903747:1', 'tt0903747:x:1', 'tt0903747:1:y', 'tt0903747:1.5:2', 'tt0903747:-1:2', 'tt0903747:1:2:3']) {
+    assert.deepStrictEqual(parseStremioId(id), NONE, id);
+  }
+});
+
+test('parseStremioId checks the ID against the content type', () => {
+  assert.deepStrictEqual(parseStremioId('tt0903747', 'series'), NONE);
+  assert.deepStrictEqual(parseStremioId('tt0133093:1:1', 'movie'), NONE);
+});
+
+test('startWatch only starts pending watches for syncable IDs', async () => {
+  const sessionId = 'test-session-ids';
+
+  for (const [id, type] of [['tmdb:603', 'movie'], ['netflix:80057281', 'series'], ['tt0903747:NaN:1', 'series'], ['tt0903747', 'series']]) {
+    assert.strictEqual(await scrobbleService.startWatch(sessionId, id, type), null, id);
+  }
+  assert.strictEqual(await cache.get(`scrobble:pending:${sessionId}`), null);
+
+  const watch = await scrobbleService.startWatch(sessionId, 'tt0903747:5:14', 'series');
+  assert.deepStrictEqual(
+    { imdbId: watch.imdbId, season: watch.season, episode: watch.episode },
+    { imdbId: 'tt0903747', season: 5, episode: 14 }
+  );
+});